@@ -1,47 +1,99 @@
 // app.js
-// Backlog Atlas — Personal Game Backlog Tracker (Single-user, LocalStorage)
+// Backlog Atlas — Personal Game Backlog Tracker (Single-user, IndexedDB with LocalStorage fallback)
 // SPA with hash-based routing, sorting/filtering, tag system, details view, and import/export.
 
 (() => {
   'use strict';
 
   // ========== CONSTANTS ==========
+  // Legacy/fallback localStorage keys. Migrated into IndexedDB on first boot.
   const LS_KEYS = {
     games: 'ba.games',
     tags: 'ba.tags',
     prefs: 'ba.prefs',
   };
 
-  const PLATFORMS = [
+  const DB_NAME = 'backlog-atlas';
+  const DB_VERSION = 4;
+  const DB_STORES = ['games', 'tags', 'platforms', 'covers', 'undo', 'meta']; // records keyed by id, meta keyed by key
+
+  // Bump together with a new entry in MIGRATIONS whenever the stored/exported shape changes
+  const SCHEMA_VERSION = 7;
+
+  // Seed list for new collections. Afterwards platforms are records in storage,
+  // managed on #/platforms (see state.platforms).
+  const DEFAULT_PLATFORMS = [
     '3DS', 'GCN', 'iOS', 'NDS', 'PC', 'PS3', 'PS4', 'PS5', 'Switch', 'Switch 2', 'Wii'
   ];
 
-  const STATUSES = [
-    'Unplayed', 'In Progress', 'Paused', 'Played', 'Abandoned', 'Continuous'
+  // Seed lists for statuses and playtime buckets; editable on #/statuses afterwards.
+  // List order drives sorting, filter chips and the "Cycle status" quick action.
+  // `playing` marks the status "Start playing" sets; `pickPoints` is its score in the picker.
+  const DEFAULT_STATUSES = [
+    { name: 'Unplayed', color: '#9aa3b2', pickPoints: 10 },
+    { name: 'In Progress', color: '#00b3ff', playing: true, pickPoints: 30 },
+    { name: 'Paused', color: '#f59f00', pickPoints: 25 },
+    { name: 'Played', color: '#22c55e', finished: true },
+    { name: 'Abandoned', color: '#ef4444', pickPoints: -20 },
+    { name: 'Continuous', color: '#a855f7' }
   ];
-  const STATUS_ORDER = Object.fromEntries(STATUSES.map((s, i) => [s, i]));
-
-  const PLAYTIMES = [
-    'Quick (0-10 hours)',
-    'Short (10-20 hours)',
-    'Average (20-40 hours)',
-    'Long (40-60 hours)',
-    'Very Long (60-100 hours)',
-    'Marathon (100+ hours)'
+
+  // maxHours: null marks the open-ended last bucket
+  const DEFAULT_PLAYTIMES = [
+    { name: 'Quick (0-10 hours)', minHours: 0, maxHours: 10 },
+    { name: 'Short (10-20 hours)', minHours: 10, maxHours: 20 },
+    { name: 'Average (20-40 hours)', minHours: 20, maxHours: 40 },
+    { name: 'Long (40-60 hours)', minHours: 40, maxHours: 60 },
+    { name: 'Very Long (60-100 hours)', minHours: 60, maxHours: 100 },
+    { name: 'Marathon (100+ hours)', minHours: 100, maxHours: null }
   ];
-  const PLAYTIME_ORDER = Object.fromEntries(PLAYTIMES.map((p, i) => [p, i]));
 
-  const PLACEHOLDER_COVER = (title = 'Cover') =>
-    `https://placehold.co/600x900/0b1220/9aa3b2?text=${encodeURIComponent(title)}`;
+  // Generated locally as an SVG data URL, so placeholders need no network
+  const PLACEHOLDER_COVER = (title = 'Cover') => {
+    const lines = [];
+    String(title || 'Cover').split(/\s+/).filter(Boolean).forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last && `${last} ${word}`.length <= 16) lines[lines.length - 1] = `${last} ${word}`;
+      else lines.push(word.length > 16 ? `${word.slice(0, 15)}…` : word);
+    });
+    const shown = lines.length > 5 ? [...lines.slice(0, 4), '…'] : lines;
+    const esc = str => str.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+    const top = 450 - (shown.length - 1) * 30;
+    const text = shown.map((line, i) => `<text x="300" y="${top + i * 60}">${esc(line)}</text>`).join('');
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="900" viewBox="0 0 600 900">' +
+      '<rect width="600" height="900" fill="#0b1220"/>' +
+      `<g fill="#9aa3b2" font-family="system-ui, sans-serif" font-size="48" text-anchor="middle" dominant-baseline="middle">${text}</g></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  };
+
+  // Uploaded and cached covers are scaled down to fit this box before they are stored
+  const COVER_SIZE = { width: 600, height: 900 };
+
+  // Game field -> key of its filter list in prefs.filters
+  const FILTER_KEYS = { platform: 'platforms', status: 'statuses', playtime: 'playtimes' };
 
   const DEFAULT_PREFS = {
     theme: 'system', // 'system' | 'light' | 'dark'
     sortField: 'title',
     sortDir: 'asc', // 'asc' | 'desc'
     view: 'grid', // 'grid' | 'list'
-    filters: { platforms: [], statuses: [], playtimes: [], tags: [], favoritesOnly: false },
+    filters: {
+      platforms: [], statuses: [], playtimes: [], tags: [], favoritesOnly: false,
+      // `tags` are included (any of them, or all with tagMatch 'all'); required tags must
+      // all be present and excluded tags must all be absent
+      tagsRequired: [], tagsExcluded: [], tagMatch: 'any', // 'any' | 'all'
+      // Range over 'dateAdded' or a timeline-derived field: 'startedOn' | 'finishedOn' | 'daysToFinish'
+      rangeField: '', rangeMin: '', rangeMax: ''
+    },
     search: '',
+    fuzzySearch: true, // plain search words tolerate typos
+    sortBeforeSearch: '', // sort to restore once a query no longer needs "relevance"
     lastRoute: '/games',
+    trashDays: 30, // trashed games and tags are purged after this many days; 0 keeps them
+    cacheCovers: false, // keep offline copies of covers given as links (see cacheRemoteCovers)
+    exportImages: 'none', // cover images in backups: 'none' | 'embed' | 'zip'
+    // "What should I play next?": hours at hand (0 = any) and tag ids to favor or avoid
+    pickHours: 0, pickTagsLiked: [], pickTagsAvoided: [],
     samplesOffered: false,
     samplesLoaded: false
   };
@@ -59,6 +111,12 @@
     return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
   };
   const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+  const fmtHours = (hours) => `${Math.round(hours * 10) / 10} h`;
+  const fmtDuration = (minutes) => {
+    const h = Math.floor(minutes / 60);
+    const m = Math.round(minutes % 60);
+    return h ? (m ? `${h} h ${m} min` : `${h} h`) : `${m} min`;
+  };
   const debounce = (fn, delay = 250) => {
     let t;
     return (...args) => {
@@ -81,6 +139,15 @@
       return `rgb(${nr}, ${ng}, ${nb})`;
     } catch { return hex; }
   };
+  // Dark or white text, whichever reads better on the given background
+  const readableTextColor = (hex) => {
+    let h = String(hex || '').replace('#', '');
+    if (h.length === 3) h = h.split('').map(c => c + c).join('');
+    const num = parseInt(h, 16);
+    if (!/^[0-9a-f]{6}$/i.test(h)) return '#fff';
+    const luma = (0.299 * ((num >> 16) & 255) + 0.587 * ((num >> 8) & 255) + 0.114 * (num & 255)) / 255;
+    return luma > 0.65 ? '#191919' : '#fff';
+  };
   const randomPastel = () => {
     const hue = Math.floor(Math.random() * 360);
     return hslToHex(hue, 70, 75);
@@ -94,87 +161,647 @@
     return `#${toHex(f(0))}${toHex(f(8))}${toHex(f(4))}`;
   }
 
+  // ========== STORAGE BACKENDS ==========
+  // Both backends expose the same async, record-level API so the Storage layer
+  // doesn't care which one is active. IndexedDB is preferred; localStorage is only
+  // used when IndexedDB can't be opened (old browsers, some private modes).
+  function openIndexedDB() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB unavailable'));
+        return;
+      }
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        DB_STORES.forEach(name => {
+          if (db.objectStoreNames.contains(name)) return;
+          db.createObjectStore(name, { keyPath: name === 'meta' ? 'key' : 'id' });
+        });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Another tab is opening a newer version: step aside so its upgrade can run
+        db.onversionchange = () => {
+          db.close();
+          showStorageBar('Backlog Atlas was updated in another tab. Reload this one to keep working.', { reload: true });
+        };
+        showStorageBar('');
+        resolve(db);
+      };
+      req.onerror = () => {
+        // This tab runs older code than the stored database
+        if (req.error?.name === 'VersionError') {
+          showStorageBar('A newer version of Backlog Atlas is open in another tab. Reload to use it.', { reload: true });
+        }
+        reject(req.error);
+      };
+      // Older tabs still hold the database open; the upgrade goes on once they close
+      req.onblocked = () => showStorageBar('Close other Backlog Atlas tabs to finish updating your data.');
+    });
+  }
+
+  function createIdbBackend(db) {
+    // Runs fn inside a transaction; resolves with whatever fn reports via done() once committed.
+    const run = (stores, mode, fn) => new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      fn(tx, (value) => { result = value; });
+    });
+
+    return {
+      kind: 'indexedDB',
+      getAll(store) {
+        return run(store, 'readonly', (tx, done) => {
+          const req = tx.objectStore(store).getAll();
+          req.onsuccess = () => done(req.result || []);
+        });
+      },
+      putMany(store, records) {
+        return run(store, 'readwrite', tx => {
+          const os = tx.objectStore(store);
+          records.forEach(r => os.put(r));
+        });
+      },
+      removeMany(store, ids) {
+        return run(store, 'readwrite', tx => {
+          const os = tx.objectStore(store);
+          ids.forEach(id => os.delete(id));
+        });
+      },
+      getMeta(key) {
+        return run('meta', 'readonly', (tx, done) => {
+          const req = tx.objectStore('meta').get(key);
+          req.onsuccess = () => done(req.result ? req.result.value : null);
+        });
+      },
+      setMeta(key, value) {
+        return run('meta', 'readwrite', tx => {
+          tx.objectStore('meta').put({ key, value });
+        });
+      },
+      // Atomically replaces the given collections, e.g. { games: [...], tags: [...], meta: { prefs } }.
+      // Meta entries are upserted; other meta keys are left alone.
+      replaceAll(data) {
+        const stores = Object.keys(data).filter(s => DB_STORES.includes(s) && data[s]);
+        if (!stores.length) return Promise.resolve();
+        return run(stores, 'readwrite', tx => {
+          stores.forEach(name => {
+            const os = tx.objectStore(name);
+            if (name === 'meta') {
+              Object.entries(data.meta).forEach(([key, value]) => os.put({ key, value }));
+            } else {
+              os.clear();
+              data[name].forEach(r => os.put(r));
+            }
+          });
+        });
+      },
+      clear(stores = DB_STORES) {
+        return run(stores, 'readwrite', tx => {
+          stores.forEach(name => tx.objectStore(name).clear());
+        });
+      }
+    };
+  }
+
+  function createLocalBackend() {
+    const keyFor = (name) => LS_KEYS[name] || `ba.${name}`;
+    const read = (store) => {
+      const parsed = safeParse(localStorage.getItem(keyFor(store)), []);
+      return Array.isArray(parsed) ? parsed : [];
+    };
+    const write = (store, arr) => localStorage.setItem(keyFor(store), JSON.stringify(arr));
+
+    return {
+      kind: 'localStorage',
+      async getAll(store) {
+        return read(store);
+      },
+      async putMany(store, records) {
+        const arr = read(store);
+        const index = new Map(arr.map((r, i) => [r.id, i]));
+        records.forEach(r => {
+          if (index.has(r.id)) arr[index.get(r.id)] = r;
+          else { index.set(r.id, arr.length); arr.push(r); }
+        });
+        write(store, arr);
+      },
+      async removeMany(store, ids) {
+        const drop = new Set(ids);
+        write(store, read(store).filter(r => !drop.has(r.id)));
+      },
+      async getMeta(key) {
+        return safeParse(localStorage.getItem(keyFor(key)), null);
+      },
+      async setMeta(key, value) {
+        localStorage.setItem(keyFor(key), JSON.stringify(value));
+      },
+      async replaceAll(data) {
+        DB_STORES.filter(s => s !== 'meta' && data[s]).forEach(s => write(s, data[s]));
+        if (data.meta) {
+          Object.entries(data.meta).forEach(([key, value]) => localStorage.setItem(keyFor(key), JSON.stringify(value)));
+        }
+      },
+      async clear(stores = DB_STORES) {
+        const keep = DB_STORES.filter(s => !stores.includes(s)).map(keyFor);
+        Object.keys(localStorage)
+          .filter(k => k.startsWith('ba.') && !keep.includes(k))
+          .forEach(k => localStorage.removeItem(k));
+      }
+    };
+  }
+
   // ========== STORAGE LAYER ==========
+  // Async API. Reads happen once at boot (the in-memory `state` is the source of truth
+  // afterwards); writes are per-record so a notes save doesn't rewrite the whole collection.
   const Storage = {
+    backend: null,
+
+    // Resolves with the issues collected while upgrading stored data (usually none).
+    async open() {
+      let db = null;
+      try {
+        db = await openIndexedDB();
+      } catch (err) {
+        // Falling back here would show an empty collection and split writes across two stores
+        if (err?.name === 'VersionError') throw err;
+        console.warn('IndexedDB unavailable, falling back to localStorage', err);
+      }
+      if (db) {
+        this.backend = createIdbBackend(db);
+        await this.migrateFromLocalStorage();
+      } else {
+        this.backend = createLocalBackend();
+      }
+      return this.upgradeSchema();
+    },
+    // Runs pending MIGRATIONS against stored data and records the new schema version.
+    async upgradeSchema() {
+      const issues = [];
+      const version = Number(await this.backend.getMeta('schema')) || 1;
+      if (version === SCHEMA_VERSION) return issues;
+      if (version > SCHEMA_VERSION) {
+        console.warn(`Stored data uses schema ${version}; this build only knows ${SCHEMA_VERSION}. Leaving it untouched.`);
+        return issues;
+      }
+      const data = migrateData({
+        schema: version,
+        games: await this.getGames(),
+        tags: await this.getTags(),
+        platforms: await this.getPlatforms(),
+        statuses: await this.getStatuses(),
+        playtimes: await this.getPlaytimes(),
+        prefs: await this.backend.getMeta('prefs')
+      }, issues);
+      const meta = { schema: SCHEMA_VERSION, statuses: data.statuses, playtimes: data.playtimes };
+      if (data.prefs) meta.prefs = data.prefs;
+      await this.backend.replaceAll({
+        games: data.games.filter(Boolean),
+        tags: data.tags.filter(Boolean),
+        platforms: data.platforms.filter(Boolean),
+        meta
+      });
+      return issues;
+    },
+    // One-time copy of the old ba.* localStorage keys into IndexedDB.
+    async migrateFromLocalStorage() {
+      if (await this.backend.getMeta('migratedFromLocalStorage')) return;
+      const legacy = {};
+      const games = safeParse(localStorage.getItem(LS_KEYS.games), null);
+      const tags = safeParse(localStorage.getItem(LS_KEYS.tags), null);
+      const prefs = safeParse(localStorage.getItem(LS_KEYS.prefs), null);
+      // Copied as-is; upgradeSchema() takes it from schema 1 afterwards
+      if (Array.isArray(games)) legacy.games = games.filter(g => g && typeof g === 'object' && g.id);
+      // Tags are stamped with their position first; IndexedDB hands them back by id
+      if (Array.isArray(tags)) legacy.tags = tags.filter(t => t && typeof t === 'object' && t.id).map((t, i) => ({ ...t, order: i }));
+      await this.backend.replaceAll(legacy);
+      if (prefs && typeof prefs === 'object') await this.backend.setMeta('prefs', prefs);
+      await this.backend.setMeta('migratedFromLocalStorage', now());
+      // Only drop the legacy copy once IndexedDB has committed it
+      Object.values(LS_KEYS).forEach(k => localStorage.removeItem(k));
+    },
+
     getGames() {
-      const parsed = safeParse(localStorage.getItem(LS_KEYS.games), []);
-      return Array.isArray(parsed) ? parsed : [];
+      return this.backend.getAll('games');
+    },
+    putGame(game) {
+      return this.putGames([game]);
+    },
+    putGames(games) {
+      return this.backend.putMany('games', games).catch(onStorageError);
+    },
+    deleteGame(id) {
+      return this.deleteGames([id]);
+    },
+    deleteGames(ids) {
+      return this.backend.removeMany('games', ids).catch(onStorageError);
     },
     setGames(games) {
-      localStorage.setItem(LS_KEYS.games, JSON.stringify(games));
+      return this.backend.replaceAll({ games }).catch(onStorageError);
     },
     getTags() {
-      const parsed = safeParse(localStorage.getItem(LS_KEYS.tags), []);
-      return Array.isArray(parsed) ? parsed : [];
+      return this.backend.getAll('tags');
+    },
+    putTag(tag) {
+      return this.backend.putMany('tags', [tag]).catch(onStorageError);
+    },
+    putTags(tags) {
+      return this.backend.putMany('tags', tags).catch(onStorageError);
+    },
+    deleteTag(id) {
+      return this.deleteTags([id]);
+    },
+    deleteTags(ids) {
+      return this.backend.removeMany('tags', ids).catch(onStorageError);
     },
     setTags(tags) {
-      localStorage.setItem(LS_KEYS.tags, JSON.stringify(tags));
+      return this.backend.replaceAll({ tags }).catch(onStorageError);
+    },
+    // Cover images: { id, blob, url?, createdAt }; `url` marks an offline copy of a linked
+    // cover. The localStorage fallback can't hold Blobs and keeps a data URL in `data` instead.
+    getCovers() {
+      return this.backend.getAll('covers');
+    },
+    // Resolves with the records as stored, converted for the active backend
+    async putCovers(covers) {
+      const records = await Promise.all(covers.map(c => storableCover(c, this.backend.kind)));
+      await this.backend.putMany('covers', records).catch(onStorageError);
+      return records;
+    },
+    deleteCovers(ids) {
+      return this.backend.removeMany('covers', ids).catch(onStorageError);
+    },
+    getPlatforms() {
+      return this.backend.getAll('platforms');
+    },
+    putPlatforms(platforms) {
+      return this.backend.putMany('platforms', platforms).catch(onStorageError);
+    },
+    deletePlatform(id) {
+      return this.backend.removeMany('platforms', [id]).catch(onStorageError);
+    },
+    setPlatforms(platforms) {
+      return this.backend.replaceAll({ platforms }).catch(onStorageError);
+    },
+    // Statuses and playtime buckets are short lists, saved whole in meta
+    async getStatuses() {
+      const list = await this.backend.getMeta('statuses');
+      return Array.isArray(list) ? list : [];
+    },
+    setStatuses(statuses) {
+      return this.backend.setMeta('statuses', statuses).catch(onStorageError);
+    },
+    async getPlaytimes() {
+      const list = await this.backend.getMeta('playtimes');
+      return Array.isArray(list) ? list : [];
+    },
+    setPlaytimes(playtimes) {
+      return this.backend.setMeta('playtimes', playtimes).catch(onStorageError);
+    },
+    // Saved views (named list presets), also a short list kept in meta
+    async getViews() {
+      const list = await this.backend.getMeta('views');
+      return Array.isArray(list) ? list : [];
+    },
+    setViews(views) {
+      return this.backend.setMeta('views', views).catch(onStorageError);
+    },
+    // Undo/redo history, one record per entry so a change writes only its own entry; `stack`
+    // says which stack it is on and `seq` its place there. Not part of exports.
+    async getUndo() {
+      const records = (await this.backend.getAll('undo')).sort((a, b) => a.seq - b.seq);
+      const stack = name => records.filter(r => r.stack === name).map(({ stack, ...entry }) => entry);
+      return { done: stack('done'), undone: stack('undone') };
+    },
+    putUndo(entry, stack) {
+      return this.backend.putMany('undo', [{ ...entry, stack }]).catch(onStorageError);
+    },
+    deleteUndo(ids) {
+      return this.backend.removeMany('undo', ids).catch(onStorageError);
     },
-    getPrefs() {
-      const saved = safeParse(localStorage.getItem(LS_KEYS.prefs), null);
+    async getPrefs() {
+      const saved = await this.backend.getMeta('prefs');
       if (!saved || typeof saved !== 'object') return { ...DEFAULT_PREFS };
       // Merge defaults for any newly introduced keys
       return { ...DEFAULT_PREFS, ...saved, filters: { ...DEFAULT_PREFS.filters, ...(saved.filters || {}) } };
     },
     setPrefs(prefs) {
-      localStorage.setItem(LS_KEYS.prefs, JSON.stringify(prefs));
+      return this.backend.setMeta('prefs', prefs).catch(onStorageError);
     },
-    exportData() {
-      return JSON.stringify({
-        schema: 1,
+    // images: 'none' leaves cover images out, 'embed' adds them as data URLs and 'files'
+    // lists their file names inside a zip backup (see exportZip)
+    async exportData({ images = 'none' } = {}) {
+      const data = {
+        schema: SCHEMA_VERSION,
         exportedAt: new Date().toISOString(),
-        games: this.getGames(),
-        tags: this.getTags(),
-        prefs: this.getPrefs()
-      }, null, 2);
+        games: await this.getGames(),
+        tags: sortByOrder(await this.getTags()),
+        platforms: sortByOrder(await this.getPlatforms()),
+        statuses: sortByOrder(await this.getStatuses()),
+        playtimes: sortByOrder(await this.getPlaytimes()),
+        views: sortByOrder(await this.getViews()),
+        prefs: await this.getPrefs()
+      };
+      if (images !== 'none') {
+        data.covers = await Promise.all((await this.getCovers()).map(async c => {
+          const { blob, data: dataUrl, ...rest } = c;
+          return images === 'embed'
+            ? { ...rest, data: dataUrl || await blobToDataUrl(blob) }
+            : { ...rest, file: coverFileName(c) };
+        }));
+      }
+      return JSON.stringify(data, null, 2);
+    },
+    // Parses a backup without writing anything (a dry run): older schemas go through
+    // MIGRATIONS, then records are sanitized and validated. `files` holds the other entries
+    // of a zip backup (name -> Blob) that its covers refer to.
+    // Returns { data: { games, tags, platforms, statuses, playtimes, views, prefs, covers }, issues, report }.
+    parseImport(json, files) {
+      const raw = safeParse(json, null);
+      if (!raw || typeof raw !== 'object') throw new Error('invalid JSON');
+      if (!Array.isArray(raw.games) || !Array.isArray(raw.tags)) throw new Error('missing games or tags');
+      return prepareImport(raw, [], files);
     },
-    async importData(json) {
-      const data = safeParse(json, null);
-      if (!data || typeof data !== 'object') throw new Error('Invalid JSON');
-      if (!Array.isArray(data.games) || !Array.isArray(data.tags)) throw new Error('Missing arrays');
-      // Basic validation/sanitization
-      const games = data.games.map(sanitizeGame).filter(Boolean);
-      const tags = data.tags.map(sanitizeTag).filter(Boolean);
-      const prefs = { ...DEFAULT_PREFS, ...(data.prefs || {}) };
-      localStorage.setItem(LS_KEYS.games, JSON.stringify(games));
-      localStorage.setItem(LS_KEYS.tags, JSON.stringify(tags));
-      localStorage.setItem(LS_KEYS.prefs, JSON.stringify(prefs));
+    // Replaces everything with parsed import data
+    async replaceData({ games, tags, platforms, statuses, playtimes, views, prefs }) {
+      const meta = { prefs, statuses, playtimes, views, schema: SCHEMA_VERSION, migratedFromLocalStorage: now() };
+      await this.backend.replaceAll({ games, tags, platforms, meta });
     },
-    reset() {
-      localStorage.removeItem(LS_KEYS.games);
-      localStorage.removeItem(LS_KEYS.tags);
-      localStorage.removeItem(LS_KEYS.prefs);
+    // Atomically rewrites the collections and lists (merge imports)
+    async saveCollections({ games, tags, platforms, statuses, playtimes, views }) {
+      await this.backend.replaceAll({ games, tags, platforms, meta: { statuses, playtimes, views } });
+    },
+    async reset() {
+      // Cover images and the undo history stay so the reset can be undone; unused covers are
+      // pruned on the next start
+      await this.backend.clear(DB_STORES.filter(s => s !== 'covers' && s !== 'undo'));
+      // Keep the migration marker so stale legacy keys are never re-imported
+      if (this.backend.kind === 'indexedDB') await this.backend.setMeta('migratedFromLocalStorage', now());
+      await this.backend.setMeta('schema', SCHEMA_VERSION);
     }
   };
 
-  function sanitizeGame(g) {
-    if (!g || typeof g !== 'object') return null;
+  function onStorageError(err) {
+    console.error(err);
+    toast('Could not save changes');
+  }
+
+  // #storageBar explains why the database can't be used right now; '' hides it
+  function showStorageBar(message, { reload = false } = {}) {
+    refs.storageBarText.textContent = message;
+    refs.storageReloadBtn.hidden = !reload;
+    refs.storageReloadBtn.onclick = () => location.reload();
+    refs.storageBar.hidden = !message;
+  }
+
+  // Sanitizers normalize a record without losing information: fields they don't know
+  // about are carried over untouched, and values outside the known lists are kept as-is.
+  // Anything kept, defaulted or dropped is pushed onto `issues` (when given) for reporting.
+  // `known` holds the known platform, status and playtime names (the managed lists by default).
+  function sanitizeGame(g, issues, known = knownValues()) {
+    if (!g || typeof g !== 'object') {
+      issues?.push({ entity: 'game', kind: 'dropped', reason: 'Not an object' });
+      return null;
+    }
+    const note = (field, kind, value, reason) =>
+      issues?.push({ entity: 'game', id: g.id, name: g.title, field, kind, value, reason });
+    const pick = (field, list, fallback) => {
+      const v = g[field];
+      if (list.includes(v)) return v;
+      if (typeof v === 'string' && v.trim()) {
+        note(field, 'unknown', v, `Unknown ${field} “${v}” kept`);
+        return v.trim();
+      }
+      note(field, 'coerced', v, `Missing ${field}, set to “${fallback}”`);
+      return fallback;
+    };
+    const title = String(g.title || '').trim();
+    if (title.length > 300) note('title', 'coerced', title.length, 'Title longer than 300 characters, truncated');
+    ['dateAdded', 'dateUpdated'].forEach(f => {
+      if (!Number.isFinite(g[f])) note(f, 'coerced', g[f], `Missing ${f}, set to now`);
+    });
+    const sessions = Array.isArray(g.sessions) ? g.sessions.map(sanitizeSession) : [];
+    const timeline = Array.isArray(g.timeline) ? g.timeline.filter(e => e && Number.isFinite(e.at) && TIMELINE_TYPES.includes(e.type)) : [];
+    if (sessions.includes(null)) note('sessions', 'coerced', sessions.filter(x => !x).length, 'Invalid play sessions removed');
     return {
+      ...g,
       id: g.id || uid(),
-      title: String(g.title || '').trim().slice(0, 300),
-      platform: PLATFORMS.includes(g.platform) ? g.platform : 'PC',
+      title: title.slice(0, 300),
+      platform: pick('platform', known.platforms, 'PC'),
       releaseDate: g.releaseDate || '',
-      status: STATUSES.includes(g.status) ? g.status : 'Unplayed',
-      playtime: PLAYTIMES.includes(g.playtime) ? g.playtime : 'Average (20-40 hours)',
+      status: pick('status', known.statuses, known.statuses[0] || 'Unplayed'),
+      playtime: pick('playtime', known.playtimes, middleOf(known.playtimes) || 'Average (20-40 hours)'),
       tagIds: Array.isArray(g.tagIds) ? g.tagIds.filter(Boolean) : [],
       notes: typeof g.notes === 'string' ? g.notes : '',
       favorite: !!g.favorite,
       imageUrl: typeof g.imageUrl === 'string' ? g.imageUrl : '',
+      coverId: typeof g.coverId === 'string' ? g.coverId : '', // uploaded image, wins over imageUrl
+      sessions: sessions.filter(Boolean),
+      timerStartedAt: Number.isFinite(g.timerStartedAt) ? g.timerStartedAt : null, // running session timer
+      queuePos: Number.isFinite(g.queuePos) ? g.queuePos : null, // place in the Up Next queue (see UP NEXT QUEUE)
+      timeline: timeline.sort((a, b) => a.at - b.at),
       dateAdded: Number.isFinite(g.dateAdded) ? g.dateAdded : now(),
       dateUpdated: Number.isFinite(g.dateUpdated) ? g.dateUpdated : now()
     };
   }
-  function sanitizeTag(t) {
-    if (!t || typeof t !== 'object') return null;
-    const name = String(t.name || '').trim().slice(0, 60);
-    if (!name) return null;
+  // Timeline entries: { at, type, from?, to?, fields? }, oldest first (see recordTimeline)
+  const TIMELINE_TYPES = ['added', 'status', 'favorite', 'edit'];
+
+  // A logged play session: { id, date: 'YYYY-MM-DD', minutes, note }. Null when unusable.
+  function sanitizeSession(s) {
+    if (!s || typeof s !== 'object') return null;
+    const minutes = Math.round(Number(s.minutes));
+    const date = toIsoDate(s.date);
+    if (!(minutes > 0) || !date) return null;
+    return { ...s, id: s.id || uid(), date, minutes, note: typeof s.note === 'string' ? s.note : '' };
+  }
+
+  // Cover images in backups: { id, data } with a data URL in JSON, { id, file } in zip backups.
+  function sanitizeCover(c, issues, files) {
+    if (!c || typeof c !== 'object' || typeof c.id !== 'string' || !c.id) {
+      issues?.push({ entity: 'cover', kind: 'dropped', reason: 'Cover image without an id' });
+      return null;
+    }
+    const out = { id: c.id, createdAt: Number.isFinite(c.createdAt) ? c.createdAt : now() };
+    if (typeof c.url === 'string' && c.url) out.url = c.url;
+    if (typeof c.data === 'string' && /^data:image\//.test(c.data)) out.data = c.data;
+    else if (files?.has(c.file)) out.blob = files.get(c.file);
+    else {
+      issues?.push({ entity: 'cover', id: c.id, kind: 'dropped', field: 'data', value: c.file, reason: 'Cover image data missing' });
+      return null;
+    }
+    return out;
+  }
+
+  function sanitizeTag(t, issues) {
+    if (!t || typeof t !== 'object') {
+      issues?.push({ entity: 'tag', kind: 'dropped', reason: 'Not an object' });
+      return null;
+    }
+    const fullName = String(t.name || '').trim();
+    const name = fullName.slice(0, 60);
+    if (!name) {
+      issues?.push({ entity: 'tag', id: t.id, kind: 'dropped', field: 'name', reason: 'Tag has no name' });
+      return null;
+    }
+    if (fullName.length > 60) {
+      issues?.push({ entity: 'tag', id: t.id, name, kind: 'coerced', field: 'name', value: fullName, reason: 'Name longer than 60 characters, truncated' });
+    }
+    if ((t.emoji || '').length > 2) {
+      issues?.push({ entity: 'tag', id: t.id, name, kind: 'coerced', field: 'emoji', value: t.emoji, reason: 'Emoji longer than 2 characters, truncated' });
+    }
+    const validColor = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(t.color || '');
+    if (!validColor) {
+      issues?.push({ entity: 'tag', id: t.id, name, kind: 'coerced', field: 'color', value: t.color, reason: 'Invalid color, random color assigned' });
+    }
     return {
+      ...t,
       id: t.id || uid(),
       name,
-      color: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(t.color || '') ? t.color : randomPastel(),
-      emoji: (t.emoji || '').slice(0, 2)
+      color: validColor ? t.color : randomPastel(),
+      emoji: (t.emoji || '').slice(0, 2),
+      order: Number.isFinite(t.order) ? t.order : 0
+    };
+  }
+  // Shared by the list records (platforms, statuses, playtimes): the trimmed name, or
+  // null when the record has to be dropped.
+  function listRecordName(entity, r, maxLength, issues) {
+    if (!r || typeof r !== 'object') {
+      issues?.push({ entity, kind: 'dropped', reason: 'Not an object' });
+      return null;
+    }
+    const fullName = String(r.name || '').trim();
+    const name = fullName.slice(0, maxLength);
+    if (!name) {
+      issues?.push({ entity, id: r.id, kind: 'dropped', field: 'name', reason: `${entity[0].toUpperCase()}${entity.slice(1)} has no name` });
+      return null;
+    }
+    if (fullName.length > maxLength) {
+      issues?.push({ entity, id: r.id, name, kind: 'coerced', field: 'name', value: fullName, reason: `Name longer than ${maxLength} characters, truncated` });
+    }
+    return name;
+  }
+
+  function sanitizePlatform(p, issues) {
+    const name = listRecordName('platform', p, 40, issues);
+    if (!name) return null;
+    return {
+      ...p,
+      id: p.id || uid(),
+      name,
+      short: String(p.short || '').trim().slice(0, 8),
+      icon: String(p.icon || '').trim().slice(0, 2),
+      hidden: !!p.hidden,
+      order: Number.isFinite(p.order) ? p.order : 0
+    };
+  }
+
+  function sanitizeStatus(st, issues) {
+    const name = listRecordName('status', st, 40, issues);
+    if (!name) return null;
+    const validColor = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(st.color || '');
+    if (!validColor) {
+      issues?.push({ entity: 'status', id: st.id, name, kind: 'coerced', field: 'color', value: st.color, reason: 'Invalid color, grey assigned' });
+    }
+    return {
+      ...st,
+      id: st.id || uid(),
+      name,
+      color: validColor ? st.color : '#9aa3b2',
+      finished: !!st.finished,
+      playing: !!st.playing,
+      pickPoints: Number.isFinite(Number(st.pickPoints)) ? clamp(Math.round(Number(st.pickPoints)), -50, 50) : 0,
+      order: Number.isFinite(st.order) ? st.order : 0
+    };
+  }
+
+  // A saved view: a named snapshot of the list state (filters, sort, layout and search)
+  function sanitizeView(v, issues) {
+    const name = listRecordName('view', v, 60, issues);
+    if (!name) return null;
+    const filters = v.filters && typeof v.filters === 'object' ? v.filters : {};
+    return {
+      ...v,
+      id: v.id || uid(),
+      name,
+      emoji: typeof v.emoji === 'string' ? v.emoji.trim() : '',
+      pinned: !!v.pinned,
+      order: Number.isFinite(v.order) ? v.order : 0,
+      filters: { ...JSON.parse(JSON.stringify(DEFAULT_PREFS.filters)), ...filters },
+      sortField: typeof v.sortField === 'string' && v.sortField ? v.sortField : DEFAULT_PREFS.sortField,
+      sortDir: v.sortDir === 'desc' ? 'desc' : 'asc',
+      view: v.view === 'list' ? 'list' : 'grid',
+      search: typeof v.search === 'string' ? v.search : ''
+    };
+  }
+
+  function sanitizePlaytime(pt, issues) {
+    const name = listRecordName('playtime', pt, 60, issues);
+    if (!name) return null;
+    const hours = (v) => {
+      if (v === null || v === undefined || v === '') return null;
+      const n = Number(v);
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    return {
+      ...pt,
+      id: pt.id || uid(),
+      name,
+      minHours: hours(pt.minHours),
+      maxHours: hours(pt.maxHours),
+      order: Number.isFinite(pt.order) ? pt.order : 0
     };
   }
+
+  function createPlatform(name, order) {
+    return { id: uid(), name, short: '', icon: '', hidden: false, order };
+  }
+  function createStatus(name, order) {
+    return { id: uid(), name, color: '#9aa3b2', finished: false, playing: false, pickPoints: 0, order };
+  }
+  function createPlaytime(name, order) {
+    return { id: uid(), name, minHours: null, maxHours: null, order };
+  }
+
+  function defaultPlatforms() {
+    return DEFAULT_PLATFORMS.map((name, i) => createPlatform(name, i));
+  }
+  function defaultStatuses() {
+    return DEFAULT_STATUSES.map((st, i) => ({ ...createStatus(st.name, i), ...st }));
+  }
+  function defaultPlaytimes() {
+    return DEFAULT_PLAYTIMES.map((pt, i) => ({ ...createPlaytime(pt.name, i), ...pt }));
+  }
+
+  // Appends a record for every value of game[field] missing from the list, so anything a
+  // game uses is something its manager can rename, merge or remove.
+  function withGameValues(list, games, field, create) {
+    const out = list.slice();
+    const names = new Set(out.map(r => r.name));
+    let order = out.reduce((max, r) => Math.max(max, r.order ?? 0), -1);
+    games.forEach(g => {
+      const value = g?.[field];
+      if (typeof value !== 'string' || !value.trim() || names.has(value)) return;
+      names.add(value);
+      out.push(create(value, ++order));
+    });
+    return out;
+  }
+
+  function withGamePlatforms(platforms, games) {
+    return withGameValues(platforms, games, 'platform', createPlatform);
+  }
+
   function safeParse(str, fallback) {
     // Ensure missing keys or empty strings return fallback, not null
     if (str == null || str === '') return fallback;
@@ -186,15 +813,247 @@
     }
   }
 
+  // ========== SCHEMA & MIGRATIONS ==========
+  // Upgrade steps keyed by the schema version they upgrade *from*. Each step receives the
+  // raw payload ({ games, tags, prefs }) at version N and returns it at N + 1. The same
+  // pipeline runs on boot against stored data and on import against older backups.
+  const MIGRATIONS = {
+    // v1 -> v2: release dates normalized to YYYY-MM-DD, duplicate tag ids removed
+    1(data, issues) {
+      const games = Array.isArray(data.games) ? data.games : [];
+      return {
+        ...data,
+        games: games.map(g => {
+          if (!g || typeof g !== 'object') return g;
+          const out = { ...g };
+          if (out.releaseDate) {
+            const iso = toIsoDate(out.releaseDate);
+            if (iso) out.releaseDate = iso;
+            else issues.push({ entity: 'game', id: g.id, name: g.title, kind: 'unknown', field: 'releaseDate', value: g.releaseDate, reason: 'Unrecognized release date kept' });
+          }
+          if (Array.isArray(out.tagIds)) out.tagIds = Array.from(new Set(out.tagIds));
+          return out;
+        })
+      };
+    },
+    // v2 -> v3: platforms become managed records, seeded from the old fixed list plus
+    // every platform already used by a game
+    2(data) {
+      const games = Array.isArray(data.games) ? data.games : [];
+      const platforms = Array.isArray(data.platforms) && data.platforms.length ? data.platforms : defaultPlatforms();
+      return { ...data, platforms: withGamePlatforms(platforms, games) };
+    },
+    // v3 -> v4: statuses and playtime buckets become editable lists, seeded the same way
+    3(data) {
+      const games = Array.isArray(data.games) ? data.games : [];
+      const seeded = (list, defaults) => (Array.isArray(list) && list.length ? list : defaults());
+      return {
+        ...data,
+        statuses: withGameValues(seeded(data.statuses, defaultStatuses), games, 'status', createStatus),
+        playtimes: withGameValues(seeded(data.playtimes, defaultPlaytimes), games, 'playtime', createPlaytime)
+      };
+    },
+    // v4 -> v5: games can have an uploaded cover (coverId). Links to the old remote
+    // placeholder service are dropped; placeholders are generated locally now.
+    4(data) {
+      const games = Array.isArray(data.games) ? data.games : [];
+      const remotePlaceholder = g => g && typeof g === 'object' && /^https:\/\/placehold\.co\//.test(g.imageUrl || '');
+      return { ...data, games: games.map(g => (remotePlaceholder(g) ? { ...g, imageUrl: '' } : g)) };
+    },
+    // v5 -> v6: tags keep their order in an `order` field (IndexedDB hands them back by id)
+    5(data) {
+      const tags = Array.isArray(data.tags) ? data.tags : [];
+      return { ...data, tags: tags.map((t, i) => (t && typeof t === 'object' && !Number.isFinite(t.order) ? { ...t, order: i } : t)) };
+    },
+    // v6 -> v7: the picker's status points and the "playing" status move onto the status
+    // records; statuses named like a default one get its values
+    6(data) {
+      const statuses = Array.isArray(data.statuses) ? data.statuses : [];
+      const defaults = new Map(DEFAULT_STATUSES.map(st => [st.name, st]));
+      return {
+        ...data,
+        statuses: statuses.map(st => {
+          if (!st || typeof st !== 'object' || 'pickPoints' in st) return st;
+          const seed = defaults.get(st.name);
+          return { ...st, playing: !!seed?.playing, pickPoints: seed?.pickPoints || 0 };
+        })
+      };
+    }
+  };
+
+  function migrateData(data, issues = []) {
+    let version = Number(data.schema) || 1;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`data is from a newer version of Backlog Atlas (schema ${version})`);
+    }
+    let out = data;
+    while (version < SCHEMA_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) throw new Error(`no migration from schema ${version}`);
+      out = step(out, issues);
+      version += 1;
+    }
+    return { ...out, schema: SCHEMA_VERSION };
+  }
+
+  function toIsoDate(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const d = new Date(value);
+    if (isNaN(d)) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  function summarizeIssues(issues) {
+    const count = kind => issues.filter(i => i.kind === kind).length;
+    const parts = [];
+    if (count('unknown')) parts.push(`${count('unknown')} unknown value(s) kept`);
+    if (count('coerced')) parts.push(`${count('coerced')} value(s) defaulted`);
+    if (count('dropped')) parts.push(`${count('dropped')} record(s) dropped`);
+    if (count('warning')) parts.push(`${count('warning')} warning(s)`);
+    return parts.join(' • ');
+  }
+
+  // ========== IMPORT VALIDATION ==========
+  // Shared by every import source: migrate, sanitize, validate and report. Writes nothing.
+  function prepareImport(raw, issues = [], files = null) {
+    const data = migrateData(raw, issues);
+    // Sources without their own lists (CSV, other apps) start from the current ones
+    const incomingList = (key, entity, sanitize) => {
+      const listed = Array.isArray(data[key]) ? data[key] : state[key];
+      const records = dropDuplicateIds(entity, listed.map(r => sanitize(r, issues)).filter(Boolean), issues);
+      return dropDuplicateNames(entity, records, issues);
+    };
+    const lists = {
+      platforms: incomingList('platforms', 'platform', sanitizePlatform),
+      statuses: incomingList('statuses', 'status', sanitizeStatus),
+      playtimes: incomingList('playtimes', 'playtime', sanitizePlaytime)
+    };
+    const namesOf = key => Array.from(new Set([...lists[key], ...state[key]].map(r => r.name)));
+    const known = { platforms: namesOf('platforms'), statuses: namesOf('statuses'), playtimes: namesOf('playtimes') };
+    const games = dropDuplicateIds('game', data.games.map(g => sanitizeGame(g, issues, known)).filter(Boolean), issues);
+    const tags = dropDuplicateIds('tag', data.tags.map(t => sanitizeTag(t, issues)).filter(Boolean), issues);
+    const platforms = withGamePlatforms(lists.platforms, games);
+    const statuses = withGameValues(lists.statuses, games, 'status', createStatus);
+    const playtimes = withGameValues(lists.playtimes, games, 'playtime', createPlaytime);
+    const views = incomingList('views', 'view', sanitizeView);
+    const prefs = { ...DEFAULT_PREFS, ...(data.prefs || {}) };
+    prefs.filters = { ...DEFAULT_PREFS.filters, ...(data.prefs?.filters || {}) };
+    const rawCovers = Array.isArray(data.covers) ? data.covers : [];
+    const covers = dropDuplicateIds('cover', rawCovers.map(c => sanitizeCover(c, issues, files)).filter(Boolean), issues);
+    validateImport(games, tags, issues);
+    const report = buildImportReport(raw, { games, tags, platforms, covers }, issues);
+    return { data: { games, tags, platforms, statuses, playtimes, views, prefs, covers }, issues, report };
+  }
+
+  // Keeps the first record for each id; later copies are dropped and reported.
+  function dropDuplicateIds(entity, records, issues) {
+    const seen = new Set();
+    return records.filter(r => {
+      if (!seen.has(r.id)) { seen.add(r.id); return true; }
+      issues.push({ entity, id: r.id, name: r.title || r.name, kind: 'dropped', field: 'id', value: r.id, reason: 'Duplicate id, later copy dropped' });
+      return false;
+    });
+  }
+
+  // Games refer to list records (platforms, statuses, playtimes) by name, so a second
+  // record with the same name is dropped.
+  function dropDuplicateNames(entity, records, issues) {
+    const seen = new Set();
+    return records.filter(r => {
+      if (!seen.has(r.name)) { seen.add(r.name); return true; }
+      issues.push({ entity, id: r.id, name: r.name, kind: 'dropped', field: 'name', value: r.name, reason: `Duplicate ${entity} name, later copy dropped` });
+      return false;
+    });
+  }
+
+  // Cross-record and range checks on sanitized import data. Reports only; nothing is changed.
+  function validateImport(games, tags, issues) {
+    const tagIds = new Set(tags.map(t => t.id));
+    const warn = (entity, r, field, value, reason) =>
+      issues.push({ entity, id: r.id, name: r.title || r.name, kind: 'warning', field, value, reason });
+    const maxYear = new Date().getFullYear() + 5;
+    const latest = now() + 24 * 60 * 60 * 1000;
+    const earliest = Date.UTC(2000, 0, 1);
+
+    const keys = new Map();
+    games.forEach(g => {
+      g.tagIds.filter(id => !tagIds.has(id)).forEach(id =>
+        warn('game', g, 'tagIds', id, 'References a tag that is not in the file'));
+
+      const key = gameKey(g);
+      if (keys.has(key)) warn('game', g, 'title', g.title, `Same title and platform as game ${keys.get(key)}`);
+      else keys.set(key, g.id);
+
+      if (g.releaseDate && /^\d{4}-\d{2}-\d{2}$/.test(g.releaseDate)) {
+        const year = Number(g.releaseDate.slice(0, 4));
+        if (year < 1950 || year > maxYear) warn('game', g, 'releaseDate', g.releaseDate, `Release year outside 1950–${maxYear}`);
+      }
+      ['dateAdded', 'dateUpdated'].forEach(f => {
+        if (g[f] > latest) warn('game', g, f, g[f], `${f} is in the future`);
+        else if (g[f] < earliest) warn('game', g, f, g[f], `${f} is before 2000`);
+      });
+      if (g.dateUpdated < g.dateAdded) warn('game', g, 'dateUpdated', g.dateUpdated, 'Last updated before it was added');
+    });
+
+    const names = new Map();
+    tags.forEach(t => {
+      const key = t.name.toLowerCase();
+      if (names.has(key)) warn('tag', t, 'name', t.name, `Same name as tag ${names.get(key)}`);
+      else names.set(key, t.id);
+    });
+  }
+
+  function buildImportReport(raw, { games, tags, platforms, covers = [] }, issues) {
+    const forEntity = (entity, total, accepted) => {
+      const list = issues.filter(i => i.entity === entity);
+      const touched = kind => new Set(list.filter(i => i.kind === kind).map(i => i.id)).size;
+      return {
+        total,
+        accepted,
+        dropped: list.filter(i => i.kind === 'dropped').length,
+        coerced: touched('coerced'),
+        unknown: touched('unknown'),
+        warnings: list.filter(i => i.kind === 'warning').length
+      };
+    };
+    return {
+      generatedAt: new Date().toISOString(),
+      schema: { file: Number(raw.schema) || 1, current: SCHEMA_VERSION },
+      // rowCount: sources like CSV may skip rows before they become game records
+      games: forEntity('game', raw.rowCount ?? raw.games.length, games.length),
+      tags: forEntity('tag', raw.tags.length, tags.length),
+      platforms: forEntity('platform', Array.isArray(raw.platforms) ? raw.platforms.length : platforms.length, platforms.length),
+      covers: forEntity('cover', Array.isArray(raw.covers) ? raw.covers.length : 0, covers.length),
+      issues
+    };
+  }
+
   // ========== STATE ==========
   const state = {
     games: [],
     tags: [],
+    platforms: [], // managed platform records, kept sorted by `order`
+    statuses: [], // editable status list ({ name, color, finished, playing, pickPoints }), sorted by `order`
+    playtimes: [], // editable playtime buckets ({ name, minHours, maxHours }), sorted by `order`
+    views: [], // saved views ({ name, emoji, pinned, filters, sortField, ... }), sorted by `order`
     prefs: { ...DEFAULT_PREFS },
     filtersWorking: null, // temp staging filter values while panel open
-    currentRoute: { path: '/games', param: null },
+    linkedDefaults: null, // the user's own list state while one opened from a link is shown
+    selection: { active: false, ids: new Set(), anchor: null, order: [] }, // batch edit in the games list
+    currentRoute: null, // set by route(); null until the first one
     formDraft: null, // temp cache when navigating away
-    quickMenuOpenFor: null
+    importDraft: null, // parsed backup awaiting review on #/import
+    quickMenuOpenFor: null,
+    query: { text: null, test: null, terms: [], error: '' }, // compiled #globalSearch, see compiledSearch
+    suggestions: { items: [], active: -1, start: 0, end: 0 },
+    sessionTicker: null, // interval updating the running timer on the details view
+    undo: { done: [], undone: [] }, // undo/redo stacks, newest last; see UNDO / REDO
+    // Deleted records (with `deletedAt`). They stay in the games/tags stores, so exports keep
+    // them, but never appear in state.games/state.tags.
+    trash: { games: [], tags: [] },
+    covers: new Map() // stored cover images by id, see IMAGE HELPERS
   };
 
   // ========== DOM REFERENCES ==========
@@ -205,12 +1064,17 @@
     filterToggleBtn: $('#filterToggleBtn'),
     themeToggleBtn: $('#themeToggleBtn'),
     tagsBtn: $('#tagsBtn'),
+    statsBtn: $('#statsBtn'),
     settingsBtn: $('#settingsBtn'),
     globalSearch: $('#globalSearch'),
     clearSearchBtn: $('#clearSearchBtn'),
+    searchBar: $('.searchbar'),
+    searchSuggestions: $('#searchSuggestions'),
+    searchError: $('#searchError'),
 
     // toolbar
     sortField: $('#sortField'),
+    fuzzySearchToggle: $('#fuzzySearchToggle'),
     sortDirBtn: $('#sortDirBtn'),
     viewGridBtn: $('#viewGridBtn'),
     viewListBtn: $('#viewListBtn'),
@@ -224,6 +1088,28 @@
     filterPlaytimes: $('#filterPlaytimes'),
     filterTags: $('#filterTags'),
     filterFavoritesOnly: $('#filterFavoritesOnly'),
+    filterTagMatchAll: $('#filterTagMatchAll'),
+    linkedListBar: $('#linkedListBar'),
+    selectModeBtn: $('#selectModeBtn'),
+    queueBtn: $('#queueBtn'),
+    pickBtn: $('#pickBtn'),
+    batchBar: $('#batchBar'),
+    batchCount: $('#batchCount'),
+    batchSelectAllBtn: $('#batchSelectAllBtn'),
+    batchClearBtn: $('#batchClearBtn'),
+    batchStatus: $('#batchStatus'),
+    batchPlatform: $('#batchPlatform'),
+    batchPlaytime: $('#batchPlaytime'),
+    batchAddTag: $('#batchAddTag'),
+    batchRemoveTag: $('#batchRemoveTag'),
+    batchFavoriteBtn: $('#batchFavoriteBtn'),
+    batchDeleteBtn: $('#batchDeleteBtn'),
+    batchDoneBtn: $('#batchDoneBtn'),
+    keepLinkedListBtn: $('#keepLinkedListBtn'),
+    restoreOwnListBtn: $('#restoreOwnListBtn'),
+    filterRangeField: $('#filterRangeField'),
+    filterRangeMin: $('#filterRangeMin'),
+    filterRangeMax: $('#filterRangeMax'),
     clearFiltersBtn: $('#clearFiltersBtn'),
     applyFiltersBtn: $('#applyFiltersBtn'),
 
@@ -239,6 +1125,7 @@
     // details view
     viewDetails: $('#view-details'),
     detailsFavBtn: $('#detailsFavBtn'),
+    detailsQueueBtn: $('#detailsQueueBtn'),
     editGameBtn: $('#editGameBtn'),
     detailsCover: $('#detailsCover'),
     detailsRibbon: $('#detailsRibbon'),
@@ -253,6 +1140,16 @@
     detailsNotes: $('#detailsNotes'),
     saveNotesBtn: $('#saveNotesBtn'),
     notesSavedIndicator: $('#notesSavedIndicator'),
+    detailsProgress: $('#detailsProgress'),
+    detailsTimeline: $('#detailsTimeline'),
+    sessionsTotal: $('#sessionsTotal'),
+    sessionTimerBtn: $('#sessionTimerBtn'),
+    sessionTimerElapsed: $('#sessionTimerElapsed'),
+    sessionForm: $('#sessionForm'),
+    sessionDate: $('#sessionDate'),
+    sessionDuration: $('#sessionDuration'),
+    sessionNote: $('#sessionNote'),
+    sessionsList: $('#sessionsList'),
 
     // form view
     viewForm: $('#view-form'),
@@ -270,6 +1167,10 @@
     notesInput: $('#notesInput'),
     favoriteInput: $('#favoriteInput'),
     imageUrlInput: $('#imageUrlInput'),
+    coverUploadBtn: $('#coverUploadBtn'),
+    coverRemoveBtn: $('#coverRemoveBtn'),
+    coverFile: $('#coverFile'),
+    coverDropZone: $('#coverDropZone'),
     imagePreview: $('#imagePreview'),
     cancelFormBtn: $('#cancelFormBtn'),
     fabAdd: $('#fabAdd'),
@@ -280,34 +1181,144 @@
     tagsList: $('#tagsList'),
     tagRowTemplate: $('#tagRowTemplate'),
 
+    // platforms manager
+    viewPlatforms: $('#view-platforms'),
+    addPlatformBtn: $('#addPlatformBtn'),
+    platformsList: $('#platformsList'),
+    platformRowTemplate: $('#platformRowTemplate'),
+    managePlatformsBtn: $('#managePlatformsBtn'),
+    managePlatformsFromFormBtn: $('#managePlatformsFromFormBtn'),
+
+    // statuses & playtimes manager
+    viewStatuses: $('#view-statuses'),
+    viewStats: $('#view-stats'),
+    viewViews: $('#view-views'),
+    viewTrash: $('#view-trash'),
+    trashDays: $('#trashDays'),
+    emptyTrashBtn: $('#emptyTrashBtn'),
+    trashGamesList: $('#trashGamesList'),
+    trashTagsList: $('#trashTagsList'),
+    trashRowTemplate: $('#trashRowTemplate'),
+    openTrashBtn: $('#openTrashBtn'),
+    pinnedViews: $('#pinnedViews'),
+    viewsBtn: $('#viewsBtn'),
+    saveViewForm: $('#saveViewForm'),
+    saveViewEmoji: $('#saveViewEmoji'),
+    saveViewName: $('#saveViewName'),
+    saveViewPin: $('#saveViewPin'),
+    viewsList: $('#viewsList'),
+    viewRowTemplate: $('#viewRowTemplate'),
+    statsSummary: $('#statsSummary'),
+    statsByStatus: $('#statsByStatus'),
+    statsByPlatform: $('#statsByPlatform'),
+    statsByTag: $('#statsByTag'),
+    statsByPlaytime: $('#statsByPlaytime'),
+    statsCompletion: $('#statsCompletion'),
+    statsMonthly: $('#statsMonthly'),
+    statsRemaining: $('#statsRemaining'),
+    statsFootnote: $('#statsFootnote'),
+    viewQueue: $('#view-queue'),
+    queueList: $('#queueList'),
+    queueStatus: $('#queueStatus'),
+    queueRowTemplate: $('#queueRowTemplate'),
+    viewPick: $('#view-pick'),
+    pickHours: $('#pickHours'),
+    pickSpinBtn: $('#pickSpinBtn'),
+    pickTags: $('#pickTags'),
+    pickSummary: $('#pickSummary'),
+    pickSpin: $('#pickSpin'),
+    pickSpinList: $('#pickSpinList'),
+    pickList: $('#pickList'),
+    pickCardTemplate: $('#pickCardTemplate'),
+    addStatusBtn: $('#addStatusBtn'),
+    statusesList: $('#statusesList'),
+    statusRowTemplate: $('#statusRowTemplate'),
+    addPlaytimeBtn: $('#addPlaytimeBtn'),
+    playtimesList: $('#playtimesList'),
+    playtimeRowTemplate: $('#playtimeRowTemplate'),
+    manageStatusesBtn: $('#manageStatusesBtn'),
+
     // settings
     viewSettings: $('#view-settings'),
     themeSelect: $('#themeSelect'),
     exportBtn: $('#exportBtn'),
+    exportImages: $('#exportImages'),
     importBtn: $('#importBtn'),
     importFile: $('#importFile'),
+    exportCsvBtn: $('#exportCsvBtn'),
+    exportCsvFilteredOnly: $('#exportCsvFilteredOnly'),
+    importCsvBtn: $('#importCsvBtn'),
+    importCsvFile: $('#importCsvFile'),
+    libraryImportSource: $('#libraryImportSource'),
+    libraryImportBtn: $('#libraryImportBtn'),
+    libraryImportFile: $('#libraryImportFile'),
     loadSamplesBtn: $('#loadSamplesBtn'),
     resetDataBtn: $('#resetDataBtn'),
     storageInfo: $('#storageInfo'),
+    cacheCoversToggle: $('#cacheCoversToggle'),
+    coverInfo: $('#coverInfo'),
+
+    // import review
+    viewImport: $('#view-import'),
+    importFileName: $('#importFileName'),
+    importSummary: $('#importSummary'),
+    importCommitBtn: $('#importCommitBtn'),
+    mergeSection: $('#mergeSection'),
+    mergeStrategy: $('#mergeStrategy'),
+    mergePreview: $('#mergePreview'),
+    csvMappingSection: $('#csvMappingSection'),
+    csvMapping: $('#csvMapping'),
+    importReportCounts: $('#importReportCounts'),
+    importReportIssues: $('#importReportIssues'),
+    downloadReportBtn: $('#downloadReportBtn'),
 
     // misc
     toastContainer: $('#toastContainer'),
+    updateBar: $('#updateBar'),
+    updateReloadBtn: $('#updateReloadBtn'),
+    updateDismissBtn: $('#updateDismissBtn'),
+    storageBar: $('#storageBar'),
+    storageBarText: $('#storageBarText'),
+    storageReloadBtn: $('#storageReloadBtn'),
     confirmDialog: $('#confirmDialog'),
     confirmMessage: $('#confirmMessage'),
+    commandPalette: $('#commandPalette'),
+    paletteInput: $('#paletteInput'),
+    paletteResults: $('#paletteResults'),
+    shortcutsDialog: $('#shortcutsDialog'),
+    shortcutsList: $('#shortcutsList'),
   };
 
   // ========== TOASTS ==========
+  // `opts.action` ({ label, run }) adds a button; such toasts stay up longer
   function toast(message, opts = {}) {
     const el = document.createElement('div');
     el.className = 'toast';
     el.textContent = message;
+    if (opts.action) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toast-action';
+      btn.textContent = opts.action.label;
+      btn.addEventListener('click', () => {
+        el.remove();
+        opts.action.run();
+      });
+      el.appendChild(btn);
+    }
     refs.toastContainer.appendChild(el);
     const t = setTimeout(() => {
       el.classList.add('hide');
       el.addEventListener('transitionend', () => el.remove(), { once: true });
       el.remove(); // fallback
       clearTimeout(t);
-    }, opts.duration || 1800);
+    }, opts.duration || (opts.action ? 5000 : 1800));
+  }
+
+  // Announces a change with an "Undo" button for its undo `entry`; a plain toast when the
+  // change recorded nothing (entry null, e.g. a form saved unchanged)
+  function toastUndo(message, entry, opts = {}) {
+    toast(message, entry ? { ...opts, action: { label: 'Undo', run: () => undoEntry(entry.id) } } : opts);
   }
 
   // ========== CONFIRM DIALOG ==========
@@ -333,11 +1344,14 @@
   // ========== ROUTER ==========
   function parseHash() {
     let hash = location.hash.slice(1);
-    if (!hash) return { path: '/games', param: null };
+    if (!hash) return { path: '/games', param: null, query: '' };
+    const q = hash.indexOf('?');
+    const query = q >= 0 ? hash.slice(q + 1) : '';
+    if (q >= 0) hash = hash.slice(0, q);
     const parts = hash.split('/').filter(Boolean);
     const path = `/${parts[0] || 'games'}`;
     const param = parts[1] || null;
-    return { path, param };
+    return { path, param, query };
   }
 
   function go(path) {
@@ -345,7 +1359,119 @@
     else location.hash = path;
   }
 
+  // ----- List state in the hash -----
+  // The games list (filters, sort, view, search) is mirrored into query parameters, e.g.
+  // #/games?status=Paused&tag=JRPG&sort=releaseDate:desc&q=boss. Only non-default values are
+  // written, and tags go by name so links work in other profiles. History entries written here
+  // carry { list: true, linked }; any other entry with a query is a link opened from outside.
+  const LIST_QUERY_VALUES = { platform: 'platforms', status: 'statuses', playtime: 'playtimes' };
+  const LIST_QUERY_TAGS = { tag: 'tags', require: 'tagsRequired', exclude: 'tagsExcluded' };
+
+  function listStateToQuery(s) {
+    const params = [];
+    const add = (key, value) => params.push(`${key}=${encodeURIComponent(value).replace(/%3A/g, ':')}`);
+    const f = s.filters;
+    Object.entries(LIST_QUERY_VALUES).forEach(([key, field]) => f[field].forEach(v => add(key, v)));
+    Object.entries(LIST_QUERY_TAGS).forEach(([key, field]) => f[field].forEach(id => {
+      const tag = state.tags.find(t => t.id === id);
+      if (tag) add(key, tag.name);
+    }));
+    if (f.tagMatch === 'all') add('match', 'all');
+    if (f.favoritesOnly) add('fav', '1');
+    if (f.rangeField && (f.rangeMin || f.rangeMax)) add('range', `${f.rangeField}:${f.rangeMin}..${f.rangeMax}`);
+    if (s.sortField !== DEFAULT_PREFS.sortField || s.sortDir !== DEFAULT_PREFS.sortDir) add('sort', `${s.sortField}:${s.sortDir}`);
+    if (s.view !== DEFAULT_PREFS.view) add('view', s.view);
+    if (s.search) add('q', s.search);
+    return params.join('&');
+  }
+
+  // Missing parameters mean defaults, so a link reproduces the exact list it was copied from.
+  // Names are matched case-insensitively; tags that don't exist here are dropped.
+  function queryToListState(query) {
+    const params = new URLSearchParams(query);
+    const filters = JSON.parse(JSON.stringify(DEFAULT_PREFS.filters));
+    const known = {
+      platforms: state.platforms.map(p => p.name), statuses: statusNames(), playtimes: playtimeNames()
+    };
+    Object.entries(LIST_QUERY_VALUES).forEach(([key, field]) => {
+      const names = params.getAll(key).map(v => known[field].find(n => n.toLowerCase() === v.toLowerCase()) || v);
+      filters[field] = Array.from(new Set(names));
+    });
+    Object.entries(LIST_QUERY_TAGS).forEach(([key, field]) => {
+      const ids = params.getAll(key).map(v => state.tags.find(t => t.name.toLowerCase() === v.toLowerCase())?.id);
+      filters[field] = Array.from(new Set(ids.filter(Boolean)));
+    });
+    filters.tagMatch = params.get('match') === 'all' ? 'all' : 'any';
+    filters.favoritesOnly = ['1', 'true', 'yes'].includes(params.get('fav'));
+    const range = /^(\w+):([^.]*)\.\.(.*)$/.exec(params.get('range') || '');
+    if (range && RANGE_LABELS[range[1]]) [, filters.rangeField, filters.rangeMin, filters.rangeMax] = range;
+
+    const [sortField, sortDir] = (params.get('sort') || '').split(':');
+    const validSort = Array.from(refs.sortField.options).some(o => o.value === sortField);
+    const s = {
+      filters,
+      sortField: validSort ? sortField : DEFAULT_PREFS.sortField,
+      sortDir: sortDir === 'desc' || sortDir === 'asc' ? sortDir : DEFAULT_PREFS.sortDir,
+      view: params.get('view') === 'list' ? 'list' : DEFAULT_PREFS.view,
+      search: (params.get('q') || '').trim()
+    };
+    // A non-empty "sort before search" keeps an explicit sort from being swapped for relevance
+    s.sortBeforeSearch = s.sortField === 'relevance' ? DEFAULT_PREFS.sortField : s.sortField;
+    return s;
+  }
+
+  function applyListQuery(query) {
+    if (!query) return; // plain #/games keeps the current list; renderGames writes it back
+    const target = queryToListState(query);
+    if (listStateToQuery(target) === listStateToQuery(currentViewState())) return;
+    const entry = history.state;
+    if (!entry?.list || entry.linked) {
+      // Opened from a link: show it, but keep persisting the user's own list state
+      if (!state.linkedDefaults) state.linkedDefaults = { ...currentViewState(), sortBeforeSearch: state.prefs.sortBeforeSearch };
+    } else {
+      state.linkedDefaults = null;
+    }
+    applyListState(target);
+  }
+
+  // Called after the list renders. Search edits replace the current entry; other changes push
+  // one so back/forward steps through them.
+  function syncListHash() {
+    if (state.currentRoute?.path !== '/games') return;
+    refs.linkedListBar.hidden = !state.linkedDefaults;
+    const query = listStateToQuery(currentViewState());
+    const hash = query ? `#/games?${query}` : '#/games';
+    const mark = { list: true, linked: !!state.linkedDefaults };
+    const withoutSearch = q => { const p = new URLSearchParams(q); p.delete('q'); return p.toString(); };
+    if (location.hash === hash) {
+      if (history.state?.list !== true || history.state.linked !== mark.linked) history.replaceState(mark, '', hash);
+      return;
+    }
+    // Compare against the canonical form so a hand-written link is rewritten in place
+    const prev = state.currentRoute.query && listStateToQuery(queryToListState(state.currentRoute.query));
+    if (prev && withoutSearch(prev) !== withoutSearch(query)) history.pushState(mark, '', hash);
+    else history.replaceState(mark, '', hash);
+    state.currentRoute = parseHash();
+  }
+
+  function keepLinkedList() {
+    state.linkedDefaults = null;
+    savePrefs();
+    syncListHash();
+    toast('Saved as your default list');
+  }
+
+  function restoreOwnList() {
+    const own = state.linkedDefaults;
+    if (!own) return;
+    state.linkedDefaults = null;
+    applyListState(own);
+    renderGames();
+  }
+
   function route() {
+    const prevPath = state.currentRoute?.path;
+    if (prevPath === '/games') listView.scrollY = window.scrollY;
     state.currentRoute = parseHash();
     const { path, param } = state.currentRoute;
     // Hide all routes
@@ -353,11 +1479,17 @@
     switch (path) {
       case '/games':
         refs.viewGames.hidden = false;
+        applyListQuery(state.currentRoute.query);
         // Save last route
         state.prefs.lastRoute = '/games';
         savePrefs();
         renderGames();
-        refs.viewGames.focus();
+        refs.viewGames.focus({ preventScroll: true });
+        // Back on the list: pick up where it was left
+        if (prevPath !== '/games') {
+          window.scrollTo(0, listView.scrollY);
+          renderListWindow();
+        }
         break;
       case '/game':
         refs.viewDetails.hidden = false;
@@ -375,34 +1507,83 @@
         renderTagsManager();
         refs.viewTags.focus();
         break;
+      case '/platforms':
+        refs.viewPlatforms.hidden = false;
+        renderPlatformsManager();
+        refs.viewPlatforms.focus();
+        break;
+      case '/statuses':
+        refs.viewStatuses.hidden = false;
+        renderStatusesManager();
+        refs.viewStatuses.focus();
+        break;
+      case '/views':
+        refs.viewViews.hidden = false;
+        renderViewsManager();
+        refs.viewViews.focus();
+        break;
+      case '/trash':
+        refs.viewTrash.hidden = false;
+        renderTrash();
+        refs.viewTrash.focus();
+        break;
+      case '/stats':
+        refs.viewStats.hidden = false;
+        renderStats();
+        refs.viewStats.focus();
+        break;
+      case '/queue':
+        refs.viewQueue.hidden = false;
+        renderQueue();
+        refs.viewQueue.focus();
+        break;
+      case '/pick':
+        refs.viewPick.hidden = false;
+        if (prevPath !== '/pick') picker.spunId = null;
+        renderPicker();
+        refs.viewPick.focus();
+        break;
       case '/settings':
         refs.viewSettings.hidden = false;
         renderSettings();
         refs.viewSettings.focus();
         break;
+      case '/import':
+        refs.viewImport.hidden = false;
+        renderImportReview();
+        refs.viewImport.focus();
+        break;
       default:
         go('/games');
     }
+    if (path !== '/games' && path !== prevPath) window.scrollTo(0, 0);
     // Close quick menu and filters when navigating
+    if (path !== '/game') stopSessionTicker();
+    if (path !== '/games') exitSelectionMode();
     hideQuickMenu();
     closeFiltersPanel();
   }
 
   // ========== INIT ==========
-  function init() {
+  async function init() {
     // Load state
-    state.games = Storage.getGames().map(sanitizeGame);
-    state.tags = Storage.getTags().map(sanitizeTag);
-    state.prefs = Storage.getPrefs();
-
-    // Populate static selects
-    populateSelect(refs.platformSelect, PLATFORMS);
-    populateSelect(refs.statusSelect, STATUSES);
-    populateSelect(refs.playtimeSelect, PLAYTIMES);
-    populateSelect(refs.detailsStatusSelect, STATUSES);
+    const upgradeIssues = await Storage.open();
+    await loadLists();
+    setGameRecords((await Storage.getGames()).map(g => sanitizeGame(g)).filter(Boolean));
+    setTagRecords((await Storage.getTags()).map(t => sanitizeTag(t)).filter(Boolean));
+    state.prefs = await Storage.getPrefs();
+    state.undo = await Storage.getUndo();
+    setCoverRecords(await Storage.getCovers());
+    purgeExpiredTrash();
+    pruneCovers();
+    ensureGameLists();
+
+    // Populate list-driven selects
+    renderListOptions();
 
     // Apply prefs to UI
     refs.sortField.value = state.prefs.sortField;
+    syncRelevanceSort();
     refs.sortDirBtn.dataset.dir = state.prefs.sortDir;
     syncSortDirBtnIcon();
     setViewMode(state.prefs.view);
@@ -419,9 +1600,21 @@
     attachDetailsEvents();
     attachFormEvents();
     attachTagsManagerEvents();
+    attachPlatformsManagerEvents();
+    attachStatusesManagerEvents();
+    attachStatsEvents();
+    attachQueueEvents();
+    attachPickerEvents();
+    attachViewsEvents();
+    attachBatchEvents();
+    attachUndoEvents();
+    attachKeyboardEvents();
+    attachTrashEvents();
     attachSettingsEvents();
+    attachImportEvents();
 
-    // Initial route
+    // Initial route; route() restores the list's scroll position itself
+    history.scrollRestoration = 'manual';
     window.addEventListener('hashchange', route);
     route();
 
@@ -433,6 +1626,13 @@
     }
 
     updateStorageInfo();
+    cacheRemoteCovers();
+    registerServiceWorker();
+
+    if (upgradeIssues.length) {
+      console.warn('Schema upgrade issues', upgradeIssues);
+      toast(`Data upgraded • ${summarizeIssues(upgradeIssues)}`, { duration: 4000 });
+    }
   }
 
   function offerSamples() {
@@ -473,11 +1673,16 @@
     // When (re)opening the panel, clone prefs.filters to working set
     state.filtersWorking = JSON.parse(JSON.stringify(state.prefs.filters));
     // Build chip groups
-    renderFilterChips(refs.filterPlatforms, PLATFORMS, state.filtersWorking.platforms, 'platform');
-    renderFilterChips(refs.filterStatuses, STATUSES, state.filtersWorking.statuses, 'status');
-    renderFilterChips(refs.filterPlaytimes, PLAYTIMES, state.filtersWorking.playtimes, 'playtime');
+    renderFilterPlatformChips();
+    renderFilterChips(refs.filterStatuses, statusNames(), state.filtersWorking.statuses, 'status');
+    renderFilterChips(refs.filterPlaytimes, playtimeNames(), state.filtersWorking.playtimes, 'playtime');
     renderFilterTagChips();
+    refs.filterTagMatchAll.checked = state.filtersWorking.tagMatch === 'all';
     refs.filterFavoritesOnly.checked = !!state.filtersWorking.favoritesOnly;
+    refs.filterRangeField.value = state.filtersWorking.rangeField || '';
+    refs.filterRangeMin.value = state.filtersWorking.rangeMin || '';
+    refs.filterRangeMax.value = state.filtersWorking.rangeMax || '';
+    syncRangeInputs();
     updateActiveFiltersSummary();
   }
 
@@ -491,18 +1696,21 @@
     refs.filterToggleBtn.setAttribute('aria-expanded', 'false');
   }
 
-  function renderFilterChips(container, items, selected, type) {
+  // `type` picks the working filter list via FILTER_KEYS ("status" -> statuses); labelFor(value)
+  // gives the chip text
+  function renderFilterChips(container, items, selected, type, labelFor = v => v) {
     container.innerHTML = '';
+    const key = FILTER_KEYS[type] || `${type}s`;
     items.forEach(val => {
       const chip = document.createElement('button');
       chip.type = 'button';
       chip.className = 'chip button';
-      chip.textContent = val;
+      chip.textContent = labelFor(val);
       chip.setAttribute('data-type', type);
       chip.setAttribute('data-value', val);
       if (selected.includes(val)) chip.classList.add('active');
       chip.addEventListener('click', () => {
-        const arr = state.filtersWorking[`${type}s`]; // platforms|statuses|playtimes
+        const arr = state.filtersWorking[key];
         const idx = arr.indexOf(val);
         if (idx >= 0) arr.splice(idx, 1);
         else arr.push(val);
@@ -512,6 +1720,13 @@
     });
   }
 
+  // Hidden platforms only show up while they are part of the active filter
+  function renderFilterPlatformChips() {
+    const selected = state.filtersWorking.platforms;
+    const names = state.platforms.filter(p => !p.hidden || selected.includes(p.name)).map(p => p.name);
+    renderFilterChips(refs.filterPlatforms, names, selected, 'platform', name => platformLabel(name));
+  }
+
   function renderFilterTagChips() {
     const container = refs.filterTags;
     container.innerHTML = '';
@@ -531,50 +1746,631 @@
       name.className = 'name';
       name.textContent = tag.name;
 
+      const mode = document.createElement('span');
+      mode.className = 'mode';
+
+      chip.appendChild(mode);
       chip.appendChild(emoji);
       chip.appendChild(name);
 
-      if (state.filtersWorking.tags.includes(tag.id)) chip.classList.add('active');
+      paintTagChip(chip, tag, tagFilterMode(state.filtersWorking, tag.id));
       chip.addEventListener('click', () => {
-        const arr = state.filtersWorking.tags;
-        const idx = arr.indexOf(tag.id);
-        if (idx >= 0) arr.splice(idx, 1);
-        else arr.push(tag.id);
-        chip.classList.toggle('active');
+        const f = state.filtersWorking;
+        const next = TAG_FILTER_CYCLE[(TAG_FILTER_CYCLE.indexOf(tagFilterMode(f, tag.id)) + 1) % TAG_FILTER_CYCLE.length];
+        Object.values(TAG_FILTER_LISTS).forEach(key => { f[key] = f[key].filter(id => id !== tag.id); });
+        if (next) f[TAG_FILTER_LISTS[next]].push(tag.id);
+        paintTagChip(chip, tag, next);
       });
 
       container.appendChild(chip);
     });
   }
 
-  function applyFiltersFromWorking() {
-    state.prefs.filters = JSON.parse(JSON.stringify(state.filtersWorking));
-    savePrefs();
-    updateActiveFiltersSummary();
-    renderGames();
-    closeFiltersPanel();
-  }
+  // Each click moves a tag chip along off -> include -> require -> exclude -> off
+  const TAG_FILTER_CYCLE = ['', 'include', 'require', 'exclude'];
+  const TAG_FILTER_LISTS = { include: 'tags', require: 'tagsRequired', exclude: 'tagsExcluded' };
+  const TAG_FILTER_MARKS = { include: '', require: '✓', exclude: '✕' };
+  const TAG_FILTER_TITLES = {
+    '': 'not filtered (click to include)',
+    include: 'included (click to require)',
+    require: 'required (click to exclude)',
+    exclude: 'excluded (click to clear)'
+  };
+
+  function tagFilterMode(f, id) {
+    return TAG_FILTER_CYCLE.find(m => m && f[TAG_FILTER_LISTS[m]].includes(id)) || '';
+  }
+
+  function paintTagChip(chip, tag, mode) {
+    chip.dataset.mode = mode;
+    chip.classList.toggle('active', !!mode);
+    chip.querySelector('.mode').textContent = TAG_FILTER_MARKS[mode] || '';
+    chip.title = `${tag.name}: ${TAG_FILTER_TITLES[mode]}`;
+    chip.setAttribute('aria-label', chip.title);
+  }
+
+  // Reads like the filter it stands for, e.g. "(RPG or Indie) and Co-op and not Horror"
+  function describeTagFilter(f) {
+    const name = id => state.tags.find(t => t.id === id)?.name || 'Unknown';
+    const parts = [];
+    if (f.tags.length) {
+      const joined = f.tags.map(name).join(f.tagMatch === 'all' ? ' and ' : ' or ');
+      const grouped = f.tags.length > 1 && f.tagMatch !== 'all' && (f.tagsRequired.length || f.tagsExcluded.length);
+      parts.push(grouped ? `(${joined})` : joined);
+    }
+    f.tagsRequired.forEach(id => parts.push(name(id)));
+    f.tagsExcluded.forEach(id => parts.push(`not ${name(id)}`));
+    return parts.join(' and ');
+  }
+
+  function applyFiltersFromWorking() {
+    state.prefs.filters = JSON.parse(JSON.stringify(state.filtersWorking));
+    savePrefs();
+    updateActiveFiltersSummary();
+    renderGames();
+    closeFiltersPanel();
+  }
 
   function clearFiltersWorking() {
-    state.filtersWorking = { platforms: [], statuses: [], playtimes: [], tags: [], favoritesOnly: false };
+    state.filtersWorking = JSON.parse(JSON.stringify(DEFAULT_PREFS.filters));
     buildFiltersUIFromPrefs();
   }
 
+  // Dates for started/finished on, a day count for days to finish
+  function syncRangeInputs() {
+    const field = refs.filterRangeField.value;
+    const type = field === 'daysToFinish' ? 'number' : 'date';
+    [refs.filterRangeMin, refs.filterRangeMax].forEach(input => {
+      if (input.type !== type) { input.type = type; input.value = ''; }
+      input.disabled = !field;
+    });
+  }
+
   function updateActiveFiltersSummary() {
     const f = state.prefs.filters;
     const parts = [];
     if (f.platforms.length) parts.push(`Platform: ${f.platforms.join(', ')}`);
     if (f.statuses.length) parts.push(`Status: ${f.statuses.join(', ')}`);
     if (f.playtimes.length) parts.push(`Playtime: ${f.playtimes.length} selected`);
-    if (f.tags.length) {
-      const names = f.tags.map(id => state.tags.find(t => t.id === id)?.name || 'Unknown');
-      parts.push(`Tags: ${names.join(', ')}`);
-    }
+    const tagText = describeTagFilter(f);
+    if (tagText) parts.push(`Tags: ${tagText}`);
     if (f.favoritesOnly) parts.push('Favorites only');
-    if (state.prefs.search) parts.push(`Search: “${state.prefs.search}”`);
+    if (f.rangeField && (f.rangeMin || f.rangeMax)) {
+      const fmt = v => (f.rangeField === 'daysToFinish' ? v : fmtDate(v));
+      const range = f.rangeMin && f.rangeMax ? `${fmt(f.rangeMin)}–${fmt(f.rangeMax)}`
+        : f.rangeMin ? `≥ ${fmt(f.rangeMin)}` : `≤ ${fmt(f.rangeMax)}`;
+      parts.push(`${RANGE_LABELS[f.rangeField]}: ${range}`);
+    }
+    if (state.prefs.search) parts.push(compiledSearch().error ? 'Search: invalid query' : `Search: “${state.prefs.search}”`);
+    renderQueryError();
     refs.activeFiltersSummary.textContent = parts.length ? parts.join(' • ') : 'No filters';
   }
 
+  // ========== SEARCH QUERY ==========
+  // #globalSearch takes plain words plus `field:value` terms, e.g.
+  //   platform:PS5 status:"In Progress" (tag:JRPG OR tag:CRPG) -tag:Co-op added:<30d released:2020..2023
+  // Terms are ANDed, OR (or |) binds looser, parentheses group and a leading - negates.
+  // A query compiles to a predicate (g, ctx) => boolean; ctx carries per-render caches.
+  // Plain words are matched fuzzily (see matchTerm) and rank results for the "relevance" sort.
+  const QUERY_DATE_HINTS = ['<30d', '>1y', '2024', '2020..2023', '>=2024-06'];
+  const QUERY_FIELDS = {
+    title: { hint: 'title contains', text: true },
+    notes: { hint: 'notes contain', text: true },
+    platform: {
+      hint: 'platform name',
+      values: () => state.platforms.map(p => p.name),
+      compile: (v) => {
+        const name = (matchPlatform(v) || v).toLowerCase();
+        return g => g.platform.toLowerCase() === name;
+      }
+    },
+    status: {
+      hint: 'status',
+      values: () => statusNames(),
+      compile: (v) => {
+        const name = v.toLowerCase();
+        return g => g.status.toLowerCase() === name;
+      }
+    },
+    playtime: {
+      hint: 'playtime, e.g. long',
+      values: () => playtimeNames(),
+      // Bucket names are long, so a leading word ("long") is enough
+      compile: (v) => {
+        const name = v.toLowerCase();
+        return g => g.playtime.toLowerCase().startsWith(name);
+      }
+    },
+    tag: {
+      hint: 'tag name',
+      values: () => state.tags.map(t => t.name),
+      compile: (v) => {
+        const name = v.toLowerCase();
+        const ids = new Set(state.tags.filter(t => t.name.toLowerCase() === name).map(t => t.id));
+        return g => (g.tagIds || []).some(id => ids.has(id));
+      }
+    },
+    fav: {
+      hint: 'yes or no',
+      values: () => ['yes', 'no'],
+      compile: (v) => {
+        const yes = ['yes', 'y', 'true', '1'].includes(v.toLowerCase());
+        if (!yes && !['no', 'n', 'false', '0'].includes(v.toLowerCase())) throw new Error(`fav: expects yes or no, not “${v}”`);
+        return g => !!g.favorite === yes;
+      }
+    },
+    added: { hint: 'date added', values: () => QUERY_DATE_HINTS, compile: v => dateTerm('added', v, g => g.dateAdded) },
+    updated: { hint: 'last updated', values: () => QUERY_DATE_HINTS, compile: v => dateTerm('updated', v, g => g.dateUpdated) },
+    released: {
+      hint: 'release date',
+      values: () => QUERY_DATE_HINTS,
+      compile: v => dateTerm('released', v, g => (g.releaseDate ? new Date(`${g.releaseDate}T00:00`).getTime() : null))
+    },
+    started: { hint: 'started on', values: () => QUERY_DATE_HINTS, compile: v => dateTerm('started', v, (g, ctx) => queryDates(g, ctx).startedOn) },
+    finished: { hint: 'finished on', values: () => QUERY_DATE_HINTS, compile: v => dateTerm('finished', v, (g, ctx) => queryDates(g, ctx).finishedOn) },
+    hours: { hint: 'hours played, e.g. >10', values: () => ['>10', '<5', '10..40'], compile: v => numberTerm('hours', v, g => minutesPlayed(g) / 60) }
+  };
+
+  function compiledSearch() {
+    const text = (state.prefs.search || '').trim();
+    if (state.query.text !== text) state.query = compileSearch(text);
+    return state.query;
+  }
+
+  function compileSearch(text) {
+    try {
+      return { text, ...(text ? parseQuery(text) : { test: null, terms: [] }), error: '' };
+    } catch (err) {
+      return { text, test: null, terms: [], error: err.message };
+    }
+  }
+
+  function renderQueryError() {
+    const { error } = compiledSearch();
+    refs.searchError.textContent = error;
+    refs.searchError.hidden = !error;
+    refs.searchBar.classList.toggle('invalid', !!error);
+    refs.globalSearch.setAttribute('aria-invalid', String(!!error));
+  }
+
+  // Tokens: '(' ')' 'or' 'not' and { type: 'term', field?, value }
+  function tokenizeQuery(text) {
+    const tokens = [];
+    let i = 0;
+    const readQuoted = () => {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new Error('Missing closing quote');
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return value;
+    };
+    while (i < text.length) {
+      const c = text[i];
+      if (/\s/.test(c)) { i++; continue; }
+      if (c === '(' || c === ')') { tokens.push({ type: c }); i++; continue; }
+      if (c === '|') { tokens.push({ type: 'or' }); i++; continue; }
+      if (c === '-' && text[i + 1] && !/\s/.test(text[i + 1])) { tokens.push({ type: 'not' }); i++; continue; }
+      if (c === '"') { tokens.push({ type: 'term', value: readQuoted(), phrase: true }); continue; }
+      let word = '';
+      while (i < text.length && !/[\s()"]/.test(text[i])) word += text[i++];
+      const colon = word.indexOf(':');
+      const field = colon > 0 ? word.slice(0, colon).toLowerCase() : '';
+      if (QUERY_FIELDS[field]) {
+        // Unknown prefixes stay plain text, so titles like "Re:Zero" still search
+        let value = word.slice(colon + 1);
+        const phrase = !value && text[i] === '"';
+        if (phrase) value = readQuoted();
+        if (!value.trim()) throw new Error(`Missing value after “${field}:”`);
+        tokens.push({ type: 'term', field, value, phrase });
+      } else if (word === 'OR') {
+        tokens.push({ type: 'or' });
+      } else if (word !== 'AND') {
+        tokens.push({ type: 'term', value: word });
+      }
+    }
+    return tokens;
+  }
+
+  // Returns { test, terms }: terms are the text terms outside negations, used for ranking
+  function parseQuery(text) {
+    const tokens = tokenizeQuery(text);
+    const terms = [];
+    let pos = 0;
+    const peek = () => tokens[pos]?.type;
+    const parseOr = (negated) => {
+      const items = [parseAnd(negated)];
+      while (peek() === 'or') {
+        pos++;
+        items.push(parseAnd(negated));
+      }
+      return items.length === 1 ? items[0] : (g, ctx) => items.some(fn => fn(g, ctx));
+    };
+    const parseAnd = (negated) => {
+      const items = [];
+      while (pos < tokens.length && peek() !== 'or' && peek() !== ')') items.push(parseUnary(negated));
+      if (!items.length) throw new Error(peek() === ')' && tokens[pos - 1]?.type === '(' ? 'Empty parentheses' : 'OR needs a term on both sides');
+      return items.length === 1 ? items[0] : (g, ctx) => items.every(fn => fn(g, ctx));
+    };
+    const parseUnary = (negated) => {
+      const token = tokens[pos++];
+      if (token.type === 'not') {
+        if (pos >= tokens.length || peek() === ')' || peek() === 'or') throw new Error('Nothing to exclude after “-”');
+        const fn = parseUnary(!negated);
+        return (g, ctx) => !fn(g, ctx);
+      }
+      if (token.type === '(') {
+        const fn = parseOr(negated);
+        if (peek() !== ')') throw new Error('Missing closing parenthesis');
+        pos++;
+        return fn;
+      }
+      if (token.field && !QUERY_FIELDS[token.field].text) return QUERY_FIELDS[token.field].compile(token.value);
+      const term = textTerm(token);
+      if (!term) return () => true; // only punctuation, e.g. a lone "-"
+      if (!negated) terms.push(term);
+      return (g, ctx) => matchGame(g, term, ctx).score > 0;
+    };
+    const test = parseOr(false);
+    if (pos < tokens.length) throw new Error('Unexpected “)”');
+    return { test, terms };
+  }
+
+  // { text, field, fuzzy }: text is folded; field limits it to 'title' or 'notes'.
+  // Quoted phrases and words that fold to several words ("co-op") match literally.
+  function textTerm(token) {
+    const text = foldText(token.value).folded.trim().replace(/ +/g, ' ');
+    if (!text) return null;
+    return { text, field: token.field || null, fuzzy: !token.phrase && !text.includes(' ') };
+  }
+
+  // Accent-, case- and punctuation-insensitive copy of `text`, plus the index in `text`
+  // of every folded character (for mapping matches back when highlighting)
+  function foldText(text) {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+      const base = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      for (const ch of base) {
+        if (/['’.-]/.test(ch)) continue; // joiners vanish: "Co-op" -> "coop", "Assassin's" -> "assassins"
+        folded += /[\p{L}\p{N}]/u.test(ch) ? ch : ' ';
+        map.push(i);
+      }
+    }
+    return { folded, map };
+  }
+
+  // Title matches outrank tag matches, which outrank notes
+  const SEARCH_WEIGHTS = { title: 3, tags: 2, notes: 1 };
+  const MATCH_QUALITY = { word: 1, prefix: 0.9, substring: 0.7, fuzzy: 0.5, subsequence: 0.3 };
+
+  function searchFields(g, ctx) {
+    if (!ctx.text.has(g.id)) {
+      ctx.text.set(g.id, {
+        title: foldText(g.title),
+        notes: foldText(g.notes || ''),
+        tags: (g.tagIds || []).map(id => foldText(ctx.tagMap.get(id)?.name || ''))
+      });
+    }
+    return ctx.text.get(g.id);
+  }
+
+  // -> { score, title: ranges, notes: ranges }, ranges in folded indices; cached per term
+  function matchGame(g, term, ctx) {
+    const key = `${g.id}\u0000${term.field}\u0000${term.text}`;
+    if (ctx.matches.has(key)) return ctx.matches.get(key);
+    const fields = searchFields(g, ctx);
+    const fuzzy = term.fuzzy && state.prefs.fuzzySearch;
+    const result = { score: 0, title: [], notes: [] };
+    const consider = (name, folded, subsequence) => {
+      const hit = matchTerm(term.text, folded, fuzzy, subsequence);
+      if (!hit) return;
+      result.score = Math.max(result.score, SEARCH_WEIGHTS[name] * MATCH_QUALITY[hit.quality]);
+      if (result[name]) result[name] = hit.ranges;
+    };
+    if (term.field !== 'notes') consider('title', fields.title.folded, true);
+    if (!term.field) fields.tags.forEach(tag => consider('tags', tag.folded, true));
+    if (term.field !== 'title') consider('notes', fields.notes.folded, false);
+    ctx.matches.set(key, result);
+    return result;
+  }
+
+  // Best match of a folded term in a folded field: literal (word, word prefix or anywhere),
+  // then a word within edit distance (1 for 4+ letters, 2 for 8+), then the term's letters in
+  // order within one word. -> { quality, ranges } or null
+  function matchTerm(term, text, fuzzy, subsequence) {
+    let best = null;
+    for (let idx = text.indexOf(term); idx !== -1; idx = text.indexOf(term, idx + 1)) {
+      const start = idx === 0 || text[idx - 1] === ' ';
+      const end = idx + term.length === text.length || text[idx + term.length] === ' ';
+      const quality = start && end ? 'word' : start ? 'prefix' : 'substring';
+      if (!best || MATCH_QUALITY[quality] > MATCH_QUALITY[best.quality]) best = { quality, ranges: [[idx, idx + term.length]] };
+      if (quality === 'word') break;
+    }
+    if (best || !fuzzy || term.length < 3) return best;
+    const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    const words = /\S+/g;
+    let m;
+    while ((m = words.exec(text))) {
+      const word = m[0];
+      if (allowed) {
+        const distance = Math.min(
+          editDistance(term, word),
+          word.length > term.length ? editDistance(term, word.slice(0, term.length)) : Infinity
+        );
+        if (distance <= allowed) return { quality: 'fuzzy', ranges: [[m.index, m.index + word.length]] };
+      }
+      if (subsequence && !best && word[0] === term[0] && word.length >= term.length) {
+        const ranges = [];
+        let j = 0;
+        for (let i = 0; i < word.length && j < term.length; i++) {
+          if (word[i] === term[j]) { ranges.push([m.index + i, m.index + i + 1]); j++; }
+        }
+        if (j === term.length) best = { quality: 'subsequence', ranges };
+      }
+    }
+    return best;
+  }
+
+  // Optimal string alignment distance (adjacent transpositions count as one edit)
+  function editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > 2) return Infinity;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  function searchContext() {
+    return { tagMap: getTagMap(), dates: new Map(), text: new Map(), matches: new Map() };
+  }
+
+  // Sum of the best score of every ranking term
+  function searchRelevance(games) {
+    const { terms } = compiledSearch();
+    const ctx = searchContext();
+    return new Map(games.map(g => [g.id, terms.reduce((sum, term) => sum + matchGame(g, term, ctx).score, 0)]));
+  }
+
+  // Matched ranges in g.title / g.notes (original indices), merged across terms
+  function searchHighlights(g, ctx) {
+    const { terms } = compiledSearch();
+    const fields = searchFields(g, ctx);
+    const out = { title: [], notes: [] };
+    terms.forEach(term => {
+      const match = matchGame(g, term, ctx);
+      ['title', 'notes'].forEach(name => {
+        const { map } = fields[name];
+        match[name].forEach(([a, b]) => out[name].push([map[a], map[b - 1] + 1]));
+      });
+    });
+    return out;
+  }
+
+  // Fills `el` with `text`, wrapping `ranges` in <mark>
+  function highlightInto(el, text, ranges) {
+    el.textContent = '';
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    let pos = 0;
+    sorted.forEach(([a, b]) => {
+      if (b <= pos) return;
+      a = Math.max(a, pos);
+      if (a > pos) el.append(text.slice(pos, a));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(a, b);
+      el.appendChild(mark);
+      pos = b;
+    });
+    if (pos < text.length) el.append(text.slice(pos));
+  }
+
+  // ~140 characters of the notes around the first match, with ranges shifted to fit
+  function notesSnippet(notes, ranges) {
+    const first = Math.min(...ranges.map(r => r[0]));
+    const start = Math.max(0, first - 40);
+    const end = Math.min(notes.length, start + 140);
+    const prefix = start > 0 ? '…' : '';
+    // Line breaks become spaces one for one, so offsets still line up
+    const text = prefix + notes.slice(start, end).replace(/\s/g, ' ') + (end < notes.length ? '…' : '');
+    const shifted = ranges.filter(([a, b]) => a >= start && b <= end).map(([a, b]) => [a - start + prefix.length, b - start + prefix.length]);
+    return { text, ranges: shifted };
+  }
+
+  // "relevance" only applies while the query has text terms; otherwise the sort before it
+  function currentSortField() {
+    const field = state.prefs.sortField;
+    if (field === 'relevance' && !compiledSearch().terms.length) return state.prefs.sortBeforeSearch || 'title';
+    return field;
+  }
+
+  // Switches to "relevance" when a text query starts and back when it ends
+  function syncRelevanceSort() {
+    const hasTerms = compiledSearch().terms.length > 0;
+    const option = refs.sortField.querySelector('option[value="relevance"]');
+    option.disabled = !hasTerms;
+    if (hasTerms && state.prefs.sortField !== 'relevance' && !state.prefs.sortBeforeSearch) {
+      state.prefs.sortBeforeSearch = state.prefs.sortField;
+      state.prefs.sortField = 'relevance';
+    } else if (!hasTerms && state.prefs.sortBeforeSearch) {
+      if (state.prefs.sortField === 'relevance') state.prefs.sortField = state.prefs.sortBeforeSearch;
+      state.prefs.sortBeforeSearch = '';
+    }
+    refs.sortField.value = state.prefs.sortField;
+  }
+
+  function queryDates(g, ctx) {
+    if (!ctx.dates.has(g.id)) ctx.dates.set(g.id, gameDates(g));
+    return ctx.dates.get(g.id);
+  }
+
+  // 2024 | 2024-05 | 2024-05-31 -> [start, end) in local time
+  function queryPeriod(field, text) {
+    const m = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    const month = m?.[2] ? Number(m[2]) : 1;
+    const day = m?.[3] ? Number(m[3]) : 1;
+    if (!m || month < 1 || month > 12 || day < 1 || day > 31) {
+      throw new Error(`${field}: “${text}” is not a date (try 2024, 2024-05, 2024-05-31 or 30d)`);
+    }
+    const y = Number(m[1]);
+    const start = new Date(y, month - 1, day);
+    const end = m[3] ? new Date(y, month - 1, day + 1) : m[2] ? new Date(y, month, 1) : new Date(y + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+
+  // <30d / >1y (relative to today), <2020, >=2024-06, 2020..2023, 2024-05
+  function dateTerm(field, value, get) {
+    const [, op = '', rest] = value.match(/^(<=|>=|<|>)?(.*)$/);
+    let test;
+    const rel = rest.match(/^(\d+)([dwmy])$/i);
+    if (rel) {
+      const n = Number(rel[1]);
+      const d = new Date();
+      const unit = rel[2].toLowerCase();
+      if (unit === 'd') d.setDate(d.getDate() - n);
+      else if (unit === 'w') d.setDate(d.getDate() - n * 7);
+      else if (unit === 'm') d.setMonth(d.getMonth() - n);
+      else d.setFullYear(d.getFullYear() - n);
+      const since = d.getTime();
+      // "<30d" reads as "less than 30 days ago"; a bare "30d" means the same
+      test = op.startsWith('>') ? t => t < since : t => t >= since;
+    } else if (rest.includes('..')) {
+      if (op) throw new Error(`${field}: use either a comparison or a range, not both`);
+      const [a, b] = rest.split('..');
+      const from = a ? queryPeriod(field, a).start : -Infinity;
+      const to = b ? queryPeriod(field, b).end : Infinity;
+      test = t => t >= from && t < to;
+    } else {
+      const { start, end } = queryPeriod(field, rest);
+      test = {
+        '<': t => t < start,
+        '<=': t => t < end,
+        '>': t => t >= end,
+        '>=': t => t >= start,
+        '': t => t >= start && t < end
+      }[op];
+    }
+    return (g, ctx) => {
+      const t = get(g, ctx);
+      return t != null && test(t);
+    };
+  }
+
+  // >10, <=5, 10..40, 12
+  function numberTerm(field, value, get) {
+    const num = (text) => {
+      const n = Number(text);
+      if (text === '' || !Number.isFinite(n)) throw new Error(`${field}: “${value}” is not a number`);
+      return n;
+    };
+    const range = value.match(/^([^.]*)\.\.([^.]*)$/);
+    if (range) {
+      const min = range[1] ? num(range[1]) : -Infinity;
+      const max = range[2] ? num(range[2]) : Infinity;
+      return g => get(g) >= min && get(g) <= max;
+    }
+    const [, op = '', rest] = value.match(/^(<=|>=|<|>)?(.*)$/);
+    const n = num(rest);
+    const cmp = { '<': v => v < n, '<=': v => v <= n, '>': v => v > n, '>=': v => v >= n, '': v => v === n }[op];
+    return g => cmp(get(g));
+  }
+
+  // Suggests field names, then values for the field under the caret
+  function querySuggestions(text, caret) {
+    let start = 0;
+    let quoted = false;
+    for (let i = 0; i < caret; i++) {
+      if (text[i] === '"') quoted = !quoted;
+      else if (!quoted && /[\s(]/.test(text[i])) start = i + 1;
+    }
+    let end = caret;
+    while (end < text.length && !/[\s)]/.test(text[end])) end++;
+    const token = text.slice(start, caret);
+    const neg = token.startsWith('-') ? '-' : '';
+    const body = token.slice(neg.length);
+    const colon = body.indexOf(':');
+    let items = [];
+    if (colon > 0 && QUERY_FIELDS[body.slice(0, colon).toLowerCase()]) {
+      const field = body.slice(0, colon).toLowerCase();
+      const partial = body.slice(colon + 1).replace(/^"/, '').toLowerCase();
+      items = (QUERY_FIELDS[field].values?.() || [])
+        .filter(v => v.toLowerCase().includes(partial) && v.toLowerCase() !== partial)
+        .map(v => ({ label: v, hint: QUERY_FIELDS[field].hint, insert: `${neg}${field}:${/[\s()"]/.test(v) ? `"${v.replace(/"/g, '')}"` : v} ` }));
+    } else if (body && colon === -1) {
+      items = Object.keys(QUERY_FIELDS)
+        .filter(f => f.startsWith(body.toLowerCase()) && f !== body.toLowerCase())
+        .map(f => ({ label: `${f}:`, hint: QUERY_FIELDS[f].hint, insert: `${neg}${f}:` }));
+    }
+    return { items: items.slice(0, 8), start, end };
+  }
+
+  function updateSuggestions() {
+    const input = refs.globalSearch;
+    const { items, start, end } = querySuggestions(input.value, input.selectionStart ?? input.value.length);
+    state.suggestions = { items, active: -1, start, end };
+    const list = refs.searchSuggestions;
+    list.innerHTML = '';
+    items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.id = `searchSuggestion-${index}`;
+      li.setAttribute('role', 'option');
+      li.dataset.index = String(index);
+      const label = document.createElement('span'); label.textContent = item.label;
+      const hint = document.createElement('span'); hint.className = 'muted'; hint.textContent = item.hint;
+      li.append(label, hint);
+      list.appendChild(li);
+    });
+    list.hidden = !items.length;
+    input.setAttribute('aria-expanded', String(!!items.length));
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function hideSuggestions() {
+    state.suggestions = { items: [], active: -1, start: 0, end: 0 };
+    refs.searchSuggestions.hidden = true;
+    refs.globalSearch.setAttribute('aria-expanded', 'false');
+    refs.globalSearch.removeAttribute('aria-activedescendant');
+  }
+
+  function highlightSuggestion(index) {
+    state.suggestions.active = index;
+    $$('li', refs.searchSuggestions).forEach((li, i) => li.setAttribute('aria-selected', String(i === index)));
+    if (index >= 0) refs.globalSearch.setAttribute('aria-activedescendant', `searchSuggestion-${index}`);
+  }
+
+  function acceptSuggestion(index) {
+    const { items, start, end } = state.suggestions;
+    const item = items[index];
+    if (!item) return;
+    const input = refs.globalSearch;
+    const after = input.value.slice(end);
+    const insert = /^\s/.test(after) ? item.insert.trimEnd() : item.insert;
+    input.value = input.value.slice(0, start) + insert + after;
+    const caret = start + insert.length;
+    input.setSelectionRange(caret, caret);
+    input.dispatchEvent(new Event('input'));
+  }
+
+  function onSuggestionKey(e) {
+    const { items, active } = state.suggestions;
+    if (!items.length || refs.searchSuggestions.hidden) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      highlightSuggestion((active + step + items.length) % items.length);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && active >= 0) {
+      e.preventDefault();
+      acceptSuggestion(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      hideSuggestions();
+    }
+  }
+
   // ========== SORT / VIEW ==========
   function setViewMode(mode) {
     state.prefs.view = mode;
@@ -590,6 +2386,24 @@
       refs.gamesContainer.classList.remove('grid');
       refs.gamesContainer.classList.add('list');
     }
+    resetListLayout();
+    syncListHash();
+  }
+
+  function setSortField(field) {
+    state.prefs.sortField = field;
+    refs.sortField.value = field;
+    state.prefs.sortBeforeSearch = ''; // an explicit choice sticks after the query ends
+    savePrefs();
+    renderGames();
+  }
+
+  function toggleSortDir() {
+    state.prefs.sortDir = state.prefs.sortDir === 'asc' ? 'desc' : 'asc';
+    refs.sortDirBtn.dataset.dir = state.prefs.sortDir;
+    savePrefs();
+    syncSortDirBtnIcon();
+    renderGames();
   }
 
   function syncSortDirBtnIcon() {
@@ -600,14 +2414,45 @@
   }
 
   // ========== GAMES LIST RENDERING ==========
+  // The list is windowed: only cards near the viewport are in the DOM, and padding on
+  // #gamesContainer stands in for the rows above and below. All rows share the height of the
+  // tallest card measured so far (--card-row; card content is clamped in CSS), so row offsets
+  // are exact. Cards are keyed by game id and reused: one is only re-filled when its game
+  // record (replaced on every change) or the shared card context changed.
+  const LIST_OVERSCAN_ROWS = 3;
+  const LIST_UNMEASURED_COUNT = 60; // cards rendered while the list can't be measured
+  const LIST_CARD_CACHE = 400; // detached cards kept around for reuse
+
+  const listView = {
+    games: [], // filtered and sorted, the whole list
+    ctx: null, // see cardContext
+    cards: new Map(), // game id -> { el, game, key }, least recently used first
+    rowHeight: 0, // tallest card so far; reset by resetListLayout
+    columns: 1,
+    gap: 0,
+    scrollY: 0, // restored when coming back to #/games
+    frame: 0
+  };
+
   function renderGames() {
     const filtered = getFilteredGames();
-    const sorted = sortGames(filtered, state.prefs.sortField, state.prefs.sortDir);
-    refs.gamesContainer.innerHTML = '';
+    const sorted = sortGames(filtered, currentSortField(), state.prefs.sortDir);
+    const highlight = compiledSearch().terms.length ? searchContext() : null;
+    // Only games still in the list stay selected
+    const sel = state.selection;
+    sel.order = sorted.map(g => g.id);
+    sel.ids = new Set(sel.order.filter(id => sel.ids.has(id)));
+    renderBatchBar();
+
+    listView.games = sorted;
+    listView.ctx = cardContext(highlight);
+    renderListWindow();
+    refs.gamesCount.textContent = String(sorted.length);
+    renderPinnedViews();
+    syncListHash();
 
+    refs.emptyState.hidden = sorted.length > 0;
     if (sorted.length === 0) {
-      refs.gamesCount.textContent = '0';
-      refs.emptyState.hidden = false;
       const titleEl = refs.emptyState.querySelector('h2');
       const descEl = refs.emptyState.querySelector('p');
       if (state.games.length === 0) {
@@ -617,115 +2462,270 @@
         titleEl.textContent = 'No results';
         descEl.textContent = 'Try clearing filters or adjusting your search.';
       }
+    }
+  }
+
+  // After one game changed: patch its card in place when it keeps its spot in the list,
+  // otherwise render the list again
+  function renderGameChange(id) {
+    const game = state.games.find(g => g.id === id);
+    const i = listView.games.findIndex(g => g.id === id);
+    if (!game || i < 0 || !keepsListPlace(game, i)) {
+      renderGames();
       return;
-    } else {
-      refs.emptyState.hidden = true;
-    }
-
-    const frag = document.createDocumentFragment();
-    const tpl = refs.gameCardTemplate.content;
-
-    sorted.forEach(game => {
-      const card = tpl.cloneNode(true);
-      const art = card.querySelector('.cover img');
-      const a = card.querySelector('.cover-link');
-      const ribbon = card.querySelector('.ribbon');
-      const favBtn = card.querySelector('.fav-btn');
-      const title = card.querySelector('.title');
-      const platform = card.querySelector('.platform-badge');
-      const statusChip = card.querySelector('.status-chip');
-      const playtimeChip = card.querySelector('.playtime-chip');
-      const tagsRow = card.querySelector('.tags-row');
-      const moreBtn = card.querySelector('.more-btn');
-
-      a.href = `#/game/${game.id}`;
-
-      setImage(art, game.imageUrl || PLACEHOLDER_COVER(game.title), `Cover art for ${game.title}`);
-      art.addEventListener('error', () => {
-        setImage(art, PLACEHOLDER_COVER(game.title));
-      });
+    }
+    listView.games[i] = game;
+    if (listView.cards.get(id)?.el.isConnected) cardFor(game);
+    renderPinnedViews();
+  }
+
+  function keepsListPlace(game, i) {
+    if (!filterGames(state.prefs.filters, compiledSearch(), [game]).length) return false;
+    const { games } = listView;
+    const around = [games[i - 1], game, games[i + 1]].filter(Boolean);
+    return sortGames(around, currentSortField(), state.prefs.sortDir).every((g, k) => g === around[k]);
+  }
+
+  // What a card shows besides its game record; `key` changes whenever any of it does
+  function cardContext(highlight) {
+    return {
+      highlight,
+      tagMap: highlight?.tagMap || getTagMap(),
+      key: JSON.stringify([highlight ? compiledSearch().text : '', state.tags, state.statuses, state.platforms, state.playtimes])
+    };
+  }
 
-      ribbon.dataset.status = game.status;
-      ribbon.textContent = game.status;
-      title.textContent = game.title;
-      platform.textContent = game.platform;
+  function scheduleListWindow() {
+    if (listView.frame || refs.viewGames.hidden) return;
+    listView.frame = requestAnimationFrame(() => {
+      listView.frame = 0;
+      renderListWindow();
+    });
+  }
 
-      statusChip.textContent = game.status;
-      statusChip.classList.add('status-chip');
-      statusChip.dataset.status = game.status;
+  // Layout changed (view mode, window size): measure the rows again
+  function resetListLayout() {
+    listView.rowHeight = 0;
+    refs.gamesContainer.style.removeProperty('--card-row');
+    scheduleListWindow();
+  }
 
-      playtimeChip.textContent = game.playtime;
-      playtimeChip.classList.add('playtime-chip');
+  function renderListWindow() {
+    const container = refs.gamesContainer;
+    const { games } = listView;
+    const measurable = !refs.viewGames.hidden && container.offsetParent !== null;
+    if (measurable) measureListLayout();
+    const { rowHeight, columns, gap } = listView;
+    const stride = rowHeight + gap;
+    const rows = Math.ceil(games.length / columns);
+    let first = 0;
+    let last = Math.ceil(Math.min(games.length, LIST_UNMEASURED_COUNT) / columns) - 1;
+    if (measurable && rowHeight) {
+      const top = container.getBoundingClientRect().top + window.scrollY;
+      first = clamp(Math.floor((window.scrollY - top) / stride) - LIST_OVERSCAN_ROWS, 0, Math.max(0, rows - 1));
+      last = clamp(Math.ceil((window.scrollY + window.innerHeight - top) / stride) + LIST_OVERSCAN_ROWS, first, rows - 1);
+    }
+    container.style.paddingTop = rowHeight ? `${first * stride}px` : '';
+    container.style.paddingBottom = rowHeight && rows ? `${Math.max(0, rows - 1 - last) * stride}px` : '';
+
+    const filled = [];
+    const wanted = games.slice(first * columns, (last + 1) * columns).map(game => cardFor(game, filled));
+    const keep = new Set(wanted);
+    Array.from(container.children).forEach(el => { if (!keep.has(el)) el.remove(); });
+    let cursor = container.firstChild;
+    wanted.forEach(el => {
+      if (el === cursor) cursor = cursor.nextSibling;
+      else container.insertBefore(el, cursor);
+    });
+    trimCardCache();
+
+    // Newly filled cards may be taller than the rows so far; after a reset all are measured
+    const measure = listView.rowHeight ? filled : wanted;
+    if (measurable && measure.length) {
+      const tallest = Math.ceil(Math.max(...measure.map(naturalCardHeight)));
+      if (tallest > listView.rowHeight) {
+        listView.rowHeight = tallest;
+        container.style.setProperty('--card-row', `${tallest}px`);
+        renderListWindow();
+      }
+    }
+  }
 
-      // Tags
-      tagsRow.innerHTML = '';
-      const tagMap = getTagMap();
-      (game.tagIds || []).map(id => tagMap.get(id)).filter(Boolean).forEach(tag => {
-        const chip = document.createElement('span');
-        chip.className = 'tag';
-        chip.style.borderColor = tag.color;
-        chip.style.backgroundColor = lightenColor(tag.color, 0.92);
-        const e = document.createElement('span');
-        e.className = 'emoji';
-        e.textContent = tag.emoji || '🏷️';
-        const n = document.createElement('span');
-        n.className = 'name';
-        n.textContent = tag.name;
-        chip.appendChild(e);
-        chip.appendChild(n);
-        tagsRow.appendChild(chip);
-      });
+  function measureListLayout() {
+    const cs = getComputedStyle(refs.gamesContainer);
+    listView.gap = parseFloat(cs.rowGap) || 0;
+    // A rendered grid reports its resolved tracks, e.g. "180px 180px 180px"
+    const tracks = cs.gridTemplateColumns.split(' ').filter(t => /^[\d.]+px$/.test(t)).length;
+    const columns = state.prefs.view === 'grid' ? Math.max(1, tracks) : 1;
+    if (columns !== listView.columns) listView.rowHeight = 0;
+    listView.columns = columns;
+  }
 
-      // Favorite
-      favBtn.setAttribute('aria-pressed', String(!!game.favorite));
-      if (game.favorite) favBtn.closest('.game-card')?.classList.add('favorited');
-      favBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        e.preventDefault();
-        toggleFavorite(game.id);
-      });
+  // Height the card's content needs, regardless of the row it stretches to
+  function naturalCardHeight(el) {
+    const cs = getComputedStyle(el);
+    const heights = Array.from(el.children)
+      .filter(child => child.offsetParent !== null && getComputedStyle(child).position !== 'absolute')
+      .map(child => child.offsetHeight);
+    const content = cs.flexDirection === 'row' ? Math.max(0, ...heights) : heights.reduce((sum, h) => sum + h, 0);
+    const px = v => parseFloat(v) || 0;
+    return content + px(cs.paddingTop) + px(cs.paddingBottom) + px(cs.borderTopWidth) + px(cs.borderBottomWidth);
+  }
 
-      // Quick actions
-      moreBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        showQuickMenuFor(game.id, moreBtn);
-      });
+  // The card for a game, created or re-filled as needed. Re-filled cards go into `filled`.
+  function cardFor(game, filled) {
+    const { cards, ctx } = listView;
+    let entry = cards.get(game.id);
+    if (entry) cards.delete(game.id); // re-added below as most recently used
+    else entry = { el: createGameCard(game.id), game: null, key: null };
+    if (entry.game !== game || entry.key !== ctx.key) {
+      fillGameCard(entry.el, game, ctx);
+      entry.game = game;
+      entry.key = ctx.key;
+      filled?.push(entry.el);
+    }
+    cards.set(game.id, entry);
+    const selected = state.selection.ids.has(game.id);
+    entry.el.classList.toggle('selected', selected);
+    $('.select-box input', entry.el).checked = selected;
+    return entry.el;
+  }
+
+  function trimCardCache() {
+    const { cards } = listView;
+    for (const [id, entry] of cards) {
+      if (cards.size <= LIST_CARD_CACHE) break;
+      if (!entry.el.isConnected) cards.delete(id);
+    }
+  }
 
-      frag.appendChild(card);
+  // Clicks are handled on #gamesContainer (see attachListEvents)
+  function createGameCard(id) {
+    const article = refs.gameCardTemplate.content.firstElementChild.cloneNode(true);
+    article.dataset.id = id;
+    $('.cover-link', article).href = `#/game/${id}`;
+    const art = $('.cover img', article);
+    art.addEventListener('error', () => {
+      const game = listView.cards.get(id)?.game;
+      if (game && art.getAttribute('src') !== PLACEHOLDER_COVER(game.title)) setImage(art, PLACEHOLDER_COVER(game.title), art.alt);
     });
+    return article;
+  }
 
-    refs.gamesContainer.appendChild(frag);
-    refs.gamesCount.textContent = String(sorted.length);
+  function fillGameCard(card, game, { highlight, tagMap }) {
+    const art = card.querySelector('.cover img');
+    const ribbon = card.querySelector('.ribbon');
+    const favBtn = card.querySelector('.fav-btn');
+    const title = card.querySelector('.title');
+    const platform = card.querySelector('.platform-badge');
+    const statusChip = card.querySelector('.status-chip');
+    const playtimeChip = card.querySelector('.playtime-chip');
+    const tagsRow = card.querySelector('.tags-row');
+    const notesEl = card.querySelector('.notes-snippet');
+    const selectBox = card.querySelector('.select-box input');
+
+    const src = coverUrl(game);
+    if (art.getAttribute('src') !== src) setImage(art, src, `Cover art for ${game.title}`);
+    else art.alt = `Cover art for ${game.title}`;
+
+    paintStatus(ribbon, game.status);
+    ribbon.textContent = game.status;
+    title.textContent = game.title;
+    notesEl.hidden = true;
+    if (highlight) {
+      const marks = searchHighlights(game, highlight);
+      highlightInto(title, game.title, marks.title);
+      if (marks.notes.length) {
+        const snippet = notesSnippet(game.notes, marks.notes);
+        highlightInto(notesEl, snippet.text, snippet.ranges);
+        notesEl.hidden = false;
+      }
+    }
+    platform.textContent = platformLabel(game.platform, { short: true });
+    platform.title = game.platform;
+
+    statusChip.textContent = game.status;
+    paintStatus(statusChip, game.status);
+
+    playtimeChip.textContent = game.playtime;
+
+    // Tags
+    tagsRow.innerHTML = '';
+    (game.tagIds || []).map(id => tagMap.get(id)).filter(Boolean).forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag';
+      chip.style.borderColor = tag.color;
+      chip.style.backgroundColor = lightenColor(tag.color, 0.92);
+      const e = document.createElement('span');
+      e.className = 'emoji';
+      e.textContent = tag.emoji || '🏷️';
+      const n = document.createElement('span');
+      n.className = 'name';
+      n.textContent = tag.name;
+      chip.appendChild(e);
+      chip.appendChild(n);
+      tagsRow.appendChild(chip);
+    });
+
+    // Favorite
+    favBtn.setAttribute('aria-pressed', String(!!game.favorite));
+    card.classList.toggle('favorited', !!game.favorite);
+
+    selectBox.setAttribute('aria-label', `Select ${game.title}`);
   }
 
   function getFilteredGames() {
-    const f = state.prefs.filters;
-    const q = (state.prefs.search || '').trim().toLowerCase();
-    const tagMap = getTagMap();
+    return filterGames(state.prefs.filters, compiledSearch());
+  }
+
+  function matchesTagFilter(g, f) {
+    const has = id => !!g.tagIds?.includes(id);
+    if (f.tags.length && !(f.tagMatch === 'all' ? f.tags.every(has) : f.tags.some(has))) return false;
+    return f.tagsRequired.every(has) && !f.tagsExcluded.some(has);
+  }
+
+  // `f` has the shape of prefs.filters; `query` comes from compileSearch
+  function filterGames(f, query, games = state.games) {
+    const ctx = searchContext();
 
-    return state.games.filter(g => {
+    return games.filter(g => {
       if (f.platforms.length && !f.platforms.includes(g.platform)) return false;
       if (f.statuses.length && !f.statuses.includes(g.status)) return false;
       if (f.playtimes.length && !f.playtimes.includes(g.playtime)) return false;
-      if (f.tags.length && !g.tagIds?.some(id => f.tags.includes(id))) return false;
+      if (!matchesTagFilter(g, f)) return false;
       if (f.favoritesOnly && !g.favorite) return false;
-      if (q) {
-        const hay = [
-          g.title,
-          g.notes,
-          ...((g.tagIds || []).map(id => tagMap.get(id)?.name || ''))
-        ].join(' ').toLowerCase();
-        if (!hay.includes(q)) return false;
-      }
+      if (f.rangeField && (f.rangeMin || f.rangeMax) && !inRangeFilter(g, f)) return false;
+      if (query.test && !query.test(g, ctx)) return false;
       return true;
     });
   }
 
+  function inRangeFilter(g, f) {
+    const value = f.rangeField === 'dateAdded' ? g.dateAdded : gameDates(g)[f.rangeField];
+    if (value == null) return false;
+    if (f.rangeField === 'daysToFinish') {
+      return !(f.rangeMin !== '' && value < Number(f.rangeMin)) && !(f.rangeMax !== '' && value > Number(f.rangeMax));
+    }
+    const day = toIsoDate(value);
+    return !(f.rangeMin && day < f.rangeMin) && !(f.rangeMax && day > f.rangeMax);
+  }
+
   function sortGames(arr, field, dir) {
     const mul = dir === 'desc' ? -1 : 1;
+    const orderOf = list => new Map(list.map((r, i) => [r.name, i]));
+    const platformOrder = orderOf(state.platforms);
+    const statusOrder = orderOf(state.statuses);
+    const playtimeOrder = orderOf(state.playtimes);
+    const derived = field in DERIVED_LABELS ? new Map(arr.map(g => [g.id, gameDates(g)[field]])) : null;
+    const relevance = field === 'relevance' ? searchRelevance(arr) : null;
     return arr.slice().sort((a, b) => {
       let va, vb;
+      if (derived) {
+        // Games without the value (never started/finished) go last in both directions
+        va = derived.get(a.id); vb = derived.get(b.id);
+        if (va == null || vb == null) return (va == null) - (vb == null);
+        return mul * (va - vb);
+      }
       switch (field) {
         case 'title':
           va = a.title.toLowerCase(); vb = b.title.toLowerCase();
@@ -735,13 +2735,14 @@
           vb = b.releaseDate ? new Date(b.releaseDate).getTime() : 0;
           return mul * (va - vb);
         case 'platform':
-          va = PLATFORMS.indexOf(a.platform); vb = PLATFORMS.indexOf(b.platform);
-          return mul * (va - vb);
+          va = platformOrder.get(a.platform) ?? Infinity; vb = platformOrder.get(b.platform) ?? Infinity;
+          if (va === vb) return mul * a.platform.localeCompare(b.platform);
+          return mul * (va < vb ? -1 : 1);
         case 'status':
-          va = STATUS_ORDER[a.status] ?? 0; vb = STATUS_ORDER[b.status] ?? 0;
+          va = statusOrder.get(a.status) ?? state.statuses.length; vb = statusOrder.get(b.status) ?? state.statuses.length;
           return mul * (va - vb);
         case 'playtime':
-          va = PLAYTIME_ORDER[a.playtime] ?? 0; vb = PLAYTIME_ORDER[b.playtime] ?? 0;
+          va = playtimeOrder.get(a.playtime) ?? state.playtimes.length; vb = playtimeOrder.get(b.playtime) ?? state.playtimes.length;
           return mul * (va - vb);
         case 'dateAdded':
           va = a.dateAdded || 0; vb = b.dateAdded || 0;
@@ -752,6 +2753,17 @@
         case 'favorite':
           va = a.favorite ? 1 : 0; vb = b.favorite ? 1 : 0;
           return mul * (va - vb);
+        case 'hoursPlayed':
+          return mul * (minutesPlayed(a) - minutesPlayed(b));
+        case 'priority':
+          // Games outside the Up Next queue go last in both directions
+          va = a.queuePos; vb = b.queuePos;
+          if (va == null || vb == null) return (va == null) - (vb == null);
+          return mul * (va - vb);
+        case 'relevance':
+          // Ascending puts the best match first; ties fall back to title
+          va = relevance.get(a.id); vb = relevance.get(b.id);
+          return mul * (vb - va) || a.title.localeCompare(b.title);
         default:
           return 0;
       }
@@ -766,6 +2778,11 @@
     const rect = anchorBtn.getBoundingClientRect();
     menu.style.left = `${Math.min(rect.left, window.innerWidth - 200)}px`;
     menu.style.top = `${rect.bottom + 6 + window.scrollY}px`;
+    const finished = finishedStatus();
+    const markBtn = $('button[data-action="markPlayed"]', menu);
+    markBtn.hidden = !finished;
+    markBtn.textContent = `Mark ${finished}`;
+    $('button[data-action="toggleQueue"]', menu).textContent = queueRank(gameId) ? 'Remove from Up Next' : 'Add to Up Next';
     menu.hidden = false;
 
     const onDocClick = (e) => {
@@ -796,82 +2813,428 @@
     const g = state.games.find(g => g.id === gameId);
     if (!g) return;
     if (action === 'cycleStatus') {
-      const idx = (STATUS_ORDER[g.status] ?? 0);
-      const next = STATUSES[(idx + 1) % STATUSES.length];
-      updateGame(gameId, { status: next });
-      toast(`Status: ${next}`);
+      const names = statusNames();
+      const next = names[(names.indexOf(g.status) + 1) % names.length];
+      toastUndo(`Status: ${next}`, updateGame(gameId, { status: next }));
     } else if (action === 'markPlayed') {
-      updateGame(gameId, { status: 'Played' });
-      toast('Marked Played');
+      const finished = finishedStatus();
+      if (!finished) return;
+      toastUndo(`Marked ${finished}`, updateGame(gameId, { status: finished }));
     } else if (action === 'toggleFavorite') {
-      updateGame(gameId, { favorite: !g.favorite });
-      toast(g.favorite ? 'Removed Favorite' : 'Favorited');
+      toastUndo(g.favorite ? 'Removed Favorite' : 'Favorited', updateGame(gameId, { favorite: !g.favorite }));
+    } else if (action === 'toggleQueue') {
+      toggleQueued(gameId);
     } else if (action === 'edit') {
       go(`#/form/${gameId}`);
     } else if (action === 'delete') {
-      confirmDialog(`Delete “${g.title}”? This action cannot be undone.`, { danger: true }).then(yes => {
+      confirmDialog(`Move “${g.title}” to the trash?`, { danger: true }).then(yes => {
         if (!yes) return;
-        deleteGame(gameId);
-        toast('Game deleted');
+        toastUndo('Game moved to trash', deleteGame(gameId));
       });
     }
   }
 
-  // ========== IMAGE HELPERS ==========
-  function setImage(imgEl, src, alt = '') {
-    imgEl.src = src || '';
-    imgEl.alt = alt;
+  // ========== BATCH EDIT ==========
+  // Selection mode in the games list. Each batch action is one updateGames/deleteGames call
+  // (a single storage write) followed by one summary toast.
+  function toggleSelectionMode() {
+    if (state.selection.active) {
+      exitSelectionMode();
+      return;
+    }
+    state.selection.active = true;
+    state.selection.anchor = null;
+    refs.gamesContainer.classList.add('selecting');
+    refs.selectModeBtn.setAttribute('aria-pressed', 'true');
+    renderBatchBar();
   }
 
-  // ========== DETAILS VIEW ==========
-  function renderDetails(id) {
-    const g = state.games.find(x => x.id === id);
-    if (!g) { toast('Game not found'); go('/games'); return; }
-
-    setImage(refs.detailsCover, g.imageUrl || PLACEHOLDER_COVER(g.title), `Cover art: ${g.title}`);
-    refs.detailsCover.onerror = () => setImage(refs.detailsCover, PLACEHOLDER_COVER(g.title), `Cover art: ${g.title}`);
-    refs.detailsRibbon.dataset.status = g.status;
-    refs.detailsRibbon.textContent = g.status;
+  function exitSelectionMode() {
+    const sel = state.selection;
+    if (!sel.active) return;
+    sel.active = false;
+    sel.ids.clear();
+    sel.anchor = null;
+    refs.gamesContainer.classList.remove('selecting');
+    refs.selectModeBtn.setAttribute('aria-pressed', 'false');
+    paintSelection();
+  }
 
-    refs.detailsTitle.textContent = g.title;
-    refs.detailsPlatform.textContent = g.platform;
-    refs.detailsReleaseDate.textContent = fmtDate(g.releaseDate);
-    refs.detailsStatus.textContent = g.status;
-    refs.detailsStatus.dataset.status = g.status;
-    refs.detailsPlaytime.textContent = g.playtime;
+  // Shift-click gives the whole range from the previous click the clicked game's new state
+  function selectGame(id, range) {
+    const sel = state.selection;
+    if (!sel.active) toggleSelectionMode();
+    const on = !sel.ids.has(id);
+    let ids = [id];
+    if (range && sel.anchor && sel.order.includes(sel.anchor)) {
+      const [from, to] = [sel.order.indexOf(sel.anchor), sel.order.indexOf(id)].sort((a, b) => a - b);
+      ids = sel.order.slice(from, to + 1);
+    }
+    ids.forEach(x => (on ? sel.ids.add(x) : sel.ids.delete(x)));
+    sel.anchor = id;
+    paintSelection();
+  }
 
-    // Tags
-    const tagMap = getTagMap();
-    refs.detailsTags.innerHTML = '';
-    g.tagIds?.map(id => tagMap.get(id)).filter(Boolean).forEach(tag => {
-      const chip = document.createElement('span');
-      chip.className = 'tag';
-      chip.style.borderColor = tag.color;
-      chip.style.backgroundColor = lightenColor(tag.color, 0.9);
-      const e = document.createElement('span'); e.className = 'emoji'; e.textContent = tag.emoji || '🏷️';
-      const n = document.createElement('span'); n.className = 'name'; n.textContent = tag.name;
-      chip.append(e, n);
-      refs.detailsTags.appendChild(chip);
+  function paintSelection() {
+    $$('.game-card', refs.gamesContainer).forEach(card => {
+      const selected = state.selection.ids.has(card.dataset.id);
+      card.classList.toggle('selected', selected);
+      const box = $('.select-box input', card);
+      if (box) box.checked = selected;
     });
+    renderBatchBar();
+  }
 
-    // Favorite
-    refs.detailsFavBtn.setAttribute('aria-pressed', String(!!g.favorite));
-    refs.detailsFavBtn.onclick = () => {
-      updateGame(id, { favorite: !g.favorite });
-      renderDetails(id); // refresh detail
-      toast(g.favorite ? 'Removed Favorite' : 'Favorited');
+  function renderBatchBar() {
+    const sel = state.selection;
+    refs.batchBar.hidden = !sel.active;
+    refs.fabAdd.hidden = sel.active;
+    if (!sel.active) return;
+    const count = sel.ids.size;
+    refs.batchCount.textContent = `${count} of ${sel.order.length} selected`;
+    refs.batchSelectAllBtn.disabled = count === sel.order.length;
+    refs.batchClearBtn.disabled = !count;
+    const fill = (select, placeholder, items) => {
+      select.innerHTML = '';
+      [[placeholder, ''], ...items].forEach(([label, value]) => {
+        const opt = document.createElement('option');
+        opt.value = value; opt.textContent = label;
+        select.appendChild(opt);
+      });
+      select.disabled = !count;
     };
+    const tags = state.tags.map(t => [`${t.emoji || '🏷️'} ${t.name}`, t.id]);
+    fill(refs.batchStatus, 'Set status…', statusNames().map(n => [n, n]));
+    fill(refs.batchPlatform, 'Set platform…', state.platforms.filter(p => !p.hidden).map(p => [platformLabel(p.name), p.name]));
+    fill(refs.batchPlaytime, 'Set playtime…', playtimeNames().map(n => [n, n]));
+    fill(refs.batchAddTag, 'Add tag…', tags);
+    fill(refs.batchRemoveTag, 'Remove tag…', tags);
+    const allFavorite = count > 0 && selectedGames().every(g => g.favorite);
+    refs.batchFavoriteBtn.lastChild.textContent = allFavorite ? ' Unfavorite' : ' Favorite';
+    refs.batchFavoriteBtn.disabled = !count;
+    refs.batchDeleteBtn.disabled = !count;
+  }
 
-    // Status quick select
-    populateSelect(refs.detailsStatusSelect, STATUSES);
-    refs.detailsStatusSelect.value = g.status;
-    refs.detailsSaveStatusBtn.onclick = () => {
-      const newStatus = refs.detailsStatusSelect.value;
-      updateGame(id, { status: newStatus });
-      renderDetails(id);
-      toast(`Status: ${newStatus}`);
+  function selectedGames() {
+    return state.games.filter(g => state.selection.ids.has(g.id));
+  }
+
+  function gamesLabel(n) {
+    return `${n} game${n === 1 ? '' : 's'}`;
+  }
+
+  // `patchFor(game)` returns the fields to change, or null when the game already matches
+  function runBatch(patchFor, describe) {
+    const ids = Array.from(state.selection.ids);
+    const entry = updateGames(ids, patchFor, describe);
+    if (entry) toastUndo(`${describe} • ${gamesLabel(entry.records.games.length)}`, entry);
+    else toast(
+`No changes • ${ids.length === 1 ? 'the selected game already matches' : `all ${ids.length} selected games already match`}`);
+  }
+
+  function batchSetField(field, value) {
+    if (!value) return;
+    const label = { status: 'Status', platform: 'Platform', playtime: 'Playtime' }[field];
+    runBatch(g => (g[field] === value ? null : { [field]: value }), `${label} set to ${value}`);
+  }
+
+  function batchTag(tagId, add) {
+    const tag = state.tags.find(t => t.id === tagId);
+    if (!tag) return;
+    runBatch(g => {
+      const has = (g.tagIds || []).includes(tagId);
+      if (has === add) return null;
+      return { tagIds: add ? [...(g.tagIds || []), tagId] : g.tagIds.filter(id => id !== tagId) };
+    }, add ? `Added tag ${tag.name}` : `Removed tag ${tag.name}`);
+  }
+
+  function batchFavorite() {
+    const favorite = !selectedGames().every(g => g.favorite);
+    runBatch(g => (!!g.favorite === favorite ? null : { favorite }), favorite ? 'Favorited' : 'Removed favorite');
+  }
+
+  function batchDelete() {
+    const ids = Array.from(state.selection.ids);
+    if (!ids.length) return;
+    confirmDialog(`Move ${gamesLabel(ids.length)} to the trash?`, { danger: true }).then(yes => {
+      if (!yes) return;
+      toastUndo(`Moved ${gamesLabel(ids.length)} to trash`, deleteGames(ids));
+    });
+  }
+
+  function attachBatchEvents() {
+    refs.selectModeBtn.addEventListener('click', toggleSelectionMode);
+    refs.batchDoneBtn.addEventListener('click', exitSelectionMode);
+    refs.batchSelectAllBtn.addEventListener('click', () => {
+      state.selection.ids = new Set(state.selection.order);
+      paintSelection();
+    });
+    refs.batchClearBtn.addEventListener('click', () => {
+      state.selection.ids.clear();
+      state.selection.anchor = null;
+      paintSelection();
+    });
+    [['status', refs.batchStatus], ['platform', refs.batchPlatform], ['playtime', refs.batchPlaytime]].forEach(([field, select]) => {
+      select.addEventListener('change', () => batchSetField(field, select.value));
+    });
+    refs.batchAddTag.addEventListener('change', () => batchTag(refs.batchAddTag.value, true));
+    refs.batchRemoveTag.addEventListener('change', () => batchTag(refs.batchRemoveTag.value, false));
+    refs.batchFavoriteBtn.addEventListener('click', batchFavorite);
+    refs.batchDeleteBtn.addEventListener('click', batchDelete);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && state.selection.active && refs.quickActionsMenu.hidden && !e.target.closest('dialog')) exitSelectionMode();
+    });
+  }
+
+  // ========== IMAGE HELPERS ==========
+  function setImage(imgEl, src, alt = '') {
+    imgEl.src = src || '';
+    imgEl.alt = alt;
+  }
+
+  // Covers are stored locally in the covers store (see Storage.getCovers): images uploaded
+  // in the form (game.coverId) and, with prefs.cacheCovers, offline copies of linked
+  // covers (matched by url). Unused ones are pruned on start (pruneCovers).
+  const coversByUrl = new Map();
+  const coverObjectUrls = new Map();
+
+  function setCoverRecords(list) {
+    coverObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    coverObjectUrls.clear();
+    coversByUrl.clear();
+    state.covers = new Map();
+    list.forEach(indexCover);
+  }
+
+  function indexCover(cover) {
+    state.covers.set(cover.id, cover);
+    if (cover.url) coversByUrl.set(cover.url, cover);
+  }
+
+  async function addCovers(covers) {
+    const stored = await Storage.putCovers(covers);
+    stored.forEach(indexCover);
+    return stored;
+  }
+
+  function removeCovers(ids) {
+    if (!ids.length) return;
+    ids.forEach(id => {
+      const cover = state.covers.get(id);
+      if (!cover) return;
+      if (cover.url && coversByUrl.get(cover.url) === cover) coversByUrl.delete(cover.url);
+      if (coverObjectUrls.has(id)) URL.revokeObjectURL(coverObjectUrls.get(id));
+      coverObjectUrls.delete(id);
+      state.covers.delete(id);
+    });
+    Storage.deleteCovers(ids);
+  }
+
+  function coverSrc(cover) {
+    if (cover.data) return cover.data;
+    if (!coverObjectUrls.has(cover.id)) coverObjectUrls.set(cover.id, URL.createObjectURL(cover.blob));
+    return coverObjectUrls.get(cover.id);
+  }
+
+  // Uploaded image, else the offline copy of the cover link, else the link, else a placeholder
+  function coverUrl(game) {
+    const local = (game.coverId && state.covers.get(game.coverId)) || (game.imageUrl && coversByUrl.get(game.imageUrl));
+    if (local) return coverSrc(local);
+    return game.imageUrl || PLACEHOLDER_COVER(game.title);
+  }
+
+  // Drops covers no game refers to. Games in the trash and in the undo history count,
+  // so restoring or undoing brings their image back.
+  function pruneCovers() {
+    const ids = new Set();
+    const urls = new Set();
+    const note = g => {
+      if (g?.coverId) ids.add(g.coverId);
+      if (g?.imageUrl) urls.add(g.imageUrl);
+    };
+    [...state.games, ...state.trash.games].forEach(note);
+    [...state.undo.done, ...state.undo.undone].forEach(entry => {
+      if (entry.data) [entry.data.before, entry.data.after].forEach(snap => snap.games.forEach(note));
+      else (entry.records.games || []).forEach(pair => pair.forEach(note));
+    });
+    const unused = Array.from(state.covers.values())
+      .filter(c => (c.url ? !state.prefs.cacheCovers || !urls.has(c.url) : !ids.has(c.id)));
+    removeCovers(unused.map(c => c.id));
+  }
+
+  // Scales an image file down to fit COVER_SIZE and re-encodes it (WebP, or JPEG where
+  // the browser can't write WebP). Rejects when the file isn't a readable image.
+  async function downscaleImage(file) {
+    const img = await loadImage(file);
+    const scale = Math.min(1, COVER_SIZE.width / img.naturalWidth, COVER_SIZE.height / img.naturalHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0b1220'; // JPEG has no transparency
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const encode = type => new Promise(resolve => canvas.toBlob(resolve, type, 0.85));
+    let blob = await encode('image/webp');
+    if (!blob || blob.type !== 'image/webp') blob = await encode('image/jpeg');
+    if (!blob) throw new Error('could not encode image');
+    return blob;
+  }
+
+  function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('unreadable image')); };
+      img.src = url;
+    });
+  }
+
+  // Offline copies of linked covers (prefs.cacheCovers), downloaded one at a time. Servers
+  // that don't allow cross-origin reads can't be copied; those covers keep loading from the link.
+  let coverCaching = null;
+  const uncachableUrls = new Set(); // failed this session, retried on the next start
+
+  function cacheRemoteCovers({ quiet = true } = {}) {
+    if (!state.prefs.cacheCovers) return Promise.resolve();
+    if (coverCaching) return coverCaching;
+    coverCaching = (async () => {
+      const urls = Array.from(new Set(state.games.map(g => g.imageUrl)))
+        .filter(url => /^https?:\/\//.test(url || '') && !coversByUrl.has(url) && !uncachableUrls.has(url));
+      let saved = 0;
+      for (const url of urls) {
+        if (!state.prefs.cacheCovers) break;
+        try {
+          const res = await fetch(url, { mode: 'cors' });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const blob = await downscaleImage(await res.blob());
+          await addCovers([{ id: uid(), blob, url, createdAt: now() }]);
+          saved++;
+        } catch (err) {
+          uncachableUrls.add(url);
+        }
+      }
+      if (!quiet && urls.length) {
+        const failed = urls.length - saved;
+        toast(`Saved ${saved} cover(s) for offline use${failed ? ` • ${failed} couldn't be downloaded` : ''}`);
+      }
+      updateCoverInfo();
+    })().finally(() => { coverCaching = null; });
+    return coverCaching;
+  }
+
+  function dropCachedCovers() {
+    removeCovers(Array.from(state.covers.values()).filter(c => c.url).map(c => c.id));
+    uncachableUrls.clear();
+    updateCoverInfo();
+  }
+
+  // Converts a cover record to what the backend can store: Blobs for IndexedDB, data URLs
+  // for localStorage
+  async function storableCover(cover, kind) {
+    const { blob, data, ...rest } = cover;
+    if (kind === 'indexedDB') return { ...rest, blob: blob || dataUrlToBlob(data) };
+    return { ...rest, data: data || await blobToDataUrl(blob) };
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function dataUrlToBlob(url) {
+    const comma = url.indexOf(',');
+    const head = url.slice(0, comma);
+    const body = url.slice(comma + 1);
+    const type = (head.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const bytes = /;base64$/.test(head)
+      ? Uint8Array.from(atob(body), c => c.charCodeAt(0))
+      : new TextEncoder().encode(decodeURIComponent(body));
+    return new Blob([bytes], { type });
+  }
+
+  const IMAGE_EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/svg+xml': 'svg', 'image/avif': 'avif' };
+
+  // File name of a cover inside zip backups
+  function coverFileName(cover) {
+    const type = cover.blob?.type || (cover.data?.match(/^data:([^;,]+)/) || [])[1];
+    return `covers/${cover.id}.${IMAGE_EXTENSIONS[type] || 'img'}`;
+  }
+
+  function imageTypeFor(fileName) {
+    const ext = (fileName.match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+    if (ext === 'jpeg') return 'image/jpeg';
+    return Object.keys(IMAGE_EXTENSIONS).find(type => IMAGE_EXTENSIONS[type] === ext) || '';
+  }
+
+  // ========== DETAILS VIEW ==========
+  function renderDetails(id) {
+    const g = state.games.find(x => x.id === id);
+    if (!g) { toast('Game not found'); go('/games'); return; }
+
+    setImage(refs.detailsCover, coverUrl(g), `Cover art: ${g.title}`);
+    refs.detailsCover.onerror = () => setImage(refs.detailsCover, PLACEHOLDER_COVER(g.title), `Cover art: ${g.title}`);
+    paintStatus(refs.detailsRibbon, g.status);
+    refs.detailsRibbon.textContent = g.status;
+
+    refs.detailsTitle.textContent = g.title;
+    refs.detailsPlatform.textContent = platformLabel(g.platform);
+    refs.detailsReleaseDate.textContent = fmtDate(g.releaseDate);
+    refs.detailsStatus.textContent = g.status;
+    paintStatus(refs.detailsStatus, g.status);
+    refs.detailsPlaytime.textContent = g.playtime;
+    renderProgress(g);
+
+    // Tags
+    const tagMap = getTagMap();
+    refs.detailsTags.innerHTML = '';
+    g.tagIds?.map(id => tagMap.get(id)).filter(Boolean).forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag';
+      chip.style.borderColor = tag.color;
+      chip.style.backgroundColor = lightenColor(tag.color, 0.9);
+      const e = document.createElement('span'); e.className = 'emoji'; e.textContent = tag.emoji || '🏷️';
+      const n = document.createElement('span'); n.className = 'name'; n.textContent = tag.name;
+      chip.append(e, n);
+      refs.detailsTags.appendChild(chip);
+    });
+
+    // Favorite
+    refs.detailsFavBtn.setAttribute('aria-pressed', String(!!g.favorite));
+    refs.detailsFavBtn.onclick = () => {
+      const entry = updateGame(id, { favorite: !g.favorite });
+      renderDetails(id); // refresh detail
+      toastUndo(g.favorite ? 'Removed Favorite' : 'Favorited', entry);
+    };
+
+    // Up Next
+    const rank = queueRank(id);
+    refs.detailsQueueBtn.setAttribute('aria-pressed', String(!!rank));
+    refs.detailsQueueBtn.querySelector('.label').textContent = rank ? `Up Next #${rank}` : 'Add to Up Next';
+    refs.detailsQueueBtn.title = rank ? 'Remove from Up Next' : 'Add to Up Next';
+    refs.detailsQueueBtn.onclick = () => {
+      toggleQueued(id);
+      renderDetails(id);
+    };
+
+    // Status quick select
+    populateSelect(refs.detailsStatusSelect, statusNames());
+    setSelectValue(refs.detailsStatusSelect, g.status);
+    refs.detailsSaveStatusBtn.onclick = () => {
+      const newStatus = refs.detailsStatusSelect.value;
+      const entry = updateGame(id, { status: newStatus });
+      renderDetails(id);
+      toastUndo(`Status: ${newStatus}`, entry);
     };
 
+    renderSessions(g);
+    renderTimeline(g);
+
     // Notes
     refs.detailsNotes.value = g.notes || '';
     setNotesSavedIndicator(true);
@@ -880,11 +3243,13 @@
     const saveDebounced = debounce(() => {
       updateGame(id, { notes: refs.detailsNotes.value });
       setNotesSavedIndicator(true);
+      renderTimeline(state.games.find(x => x.id === id));
     }, 800);
 
     const saveNow = () => {
       updateGame(id, { notes: refs.detailsNotes.value });
       setNotesSavedIndicator(true);
+      renderTimeline(state.games.find(x => x.id === id));
       toast('Notes saved');
     };
     refs.saveNotesBtn.onclick = () => saveNow();
@@ -904,6 +3269,167 @@
 
   // debouncedNotesSave removed; per-render debouncer is defined inside renderDetails
 
+  function renderProgress(g) {
+    const { startedOn, finishedOn, daysToFinish } = gameDates(g);
+    const parts = [];
+    if (startedOn != null) parts.push(`Started ${fmtDate(startedOn)}`);
+    if (finishedOn != null) parts.push(`Finished ${fmtDate(finishedOn)}`);
+    if (daysToFinish != null) parts.push(`${daysToFinish} day${daysToFinish === 1 ? '' : 's'} to finish`);
+    refs.detailsProgress.textContent = parts.join(' • ');
+    refs.detailsProgress.hidden = !parts.length;
+  }
+
+  function renderTimeline(g) {
+    if (!g) return;
+    refs.detailsTimeline.innerHTML = '';
+    const entries = g.timeline.slice().reverse();
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = `timeline-entry ${entry.type}`;
+      const time = document.createElement('time');
+      time.dateTime = new Date(entry.at).toISOString();
+      time.textContent = new Date(entry.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+      const text = document.createElement('span');
+      text.textContent = describeTimelineEntry(entry);
+      li.append(time, text);
+      refs.detailsTimeline.appendChild(li);
+    });
+    if (!entries.length) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = 'No changes recorded yet.';
+      refs.detailsTimeline.appendChild(li);
+    }
+  }
+
+  const TIMELINE_FIELD_LABELS = {
+    title: 'title', platform: 'platform', releaseDate: 'release date', playtime: 'playtime',
+    tagIds: 'tags', notes: 'notes', imageUrl: 'cover', coverId: 'cover'
+  };
+
+  function describeTimelineEntry(entry) {
+    switch (entry.type) {
+      case 'added':
+        return entry.to ? `Added as ${entry.to}` : 'Added';
+      case 'status':
+        return entry.from ? `Status: ${entry.from} → ${entry.to}` : `Status: ${entry.to}`;
+      case 'favorite':
+        return entry.to ? 'Added to favorites' : 'Removed from favorites';
+      default:
+        return `Edited ${Array.from(new Set((entry.fields || []).map(f => TIMELINE_FIELD_LABELS[f] || f))).join(', ')}`;
+    }
+  }
+
+  // Play sessions: a start/stop timer (kept on the game as timerStartedAt, so it survives
+  // reloads) or a manual entry. Totals are compared against the playtime bucket's hours.
+  function renderSessions(g) {
+    const id = g.id;
+    const played = minutesPlayed(g);
+    const estimate = playtimeRangeText(g.playtime);
+    refs.sessionsTotal.textContent = `${fmtHours(played / 60)} played${estimate ? ` • estimate ${estimate}` : ''}`;
+
+    stopSessionTicker();
+    const running = Number.isFinite(g.timerStartedAt);
+    refs.sessionTimerBtn.textContent = running ? 'Stop session' : 'Start session';
+    refs.sessionTimerBtn.classList.toggle('danger', running);
+    refs.sessionTimerBtn.classList.toggle('primary', !running);
+    if (running) {
+      const tick = () => {
+        refs.sessionTimerElapsed.textContent = `Running • ${fmtElapsed(now() - g.timerStartedAt)}`;
+      };
+      tick();
+      state.sessionTicker = setInterval(tick, 1000);
+    } else {
+      refs.sessionTimerElapsed.textContent = '';
+    }
+    refs.sessionTimerBtn.onclick = () => {
+      const current = state.games.find(x => x.id === id);
+      if (!current) return;
+      if (!Number.isFinite(current.timerStartedAt)) {
+        updateGame(id, { timerStartedAt: now() });
+        toast('Session started');
+      } else {
+        const start = current.timerStartedAt;
+        const minutes = Math.max(1, Math.round((now() - start) / 60000));
+        const session = { id: uid(), date: toIsoDate(start), minutes, note: '' };
+        updateGame(id, { sessions: [...current.sessions, session], timerStartedAt: null });
+        toast(`Logged ${fmtDuration(minutes)}`);
+      }
+      renderDetails(id);
+    };
+
+    if (!refs.sessionDate.value) refs.sessionDate.value = toIsoDate(now());
+    refs.sessionForm.onsubmit = (e) => {
+      e.preventDefault();
+      const hours = parseHours(refs.sessionDuration.value);
+      const date = toIsoDate(refs.sessionDate.value);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        toast('Enter a duration, e.g. 1h 30m');
+        refs.sessionDuration.focus();
+        return;
+      }
+      if (!date) {
+        toast('Pick a date');
+        refs.sessionDate.focus();
+        return;
+      }
+      const current = state.games.find(x => x.id === id);
+      const session = { id: uid(), date, minutes: Math.round(hours * 60), note: refs.sessionNote.value.trim() };
+      updateGame(id, { sessions: [...current.sessions, session] });
+      refs.sessionDuration.value = '';
+      refs.sessionNote.value = '';
+      toast(`Logged ${fmtDuration(session.minutes)}`);
+      renderDetails(id);
+    };
+
+    refs.sessionsList.innerHTML = '';
+    const history = g.sessions.slice().sort((a, b) => b.date.localeCompare(a.date));
+    history.forEach(session => {
+      const li = document.createElement('li');
+      const date = document.createElement('span');
+      date.className = 'session-date';
+      date.textContent = fmtDate(session.date);
+      const duration = document.createElement('span');
+      duration.className = 'session-duration';
+      duration.textContent = fmtDuration(session.minutes);
+      const noteEl = document.createElement('span');
+      noteEl.className = 'session-note muted';
+      noteEl.textContent = session.note;
+      const del = document.createElement('button');
+      del.className = 'icon-btn small subtle';
+      del.title = 'Delete session';
+      del.setAttribute('aria-label', `Delete session from ${fmtDate(session.date)}`);
+      del.innerHTML = '<svg class="icon"><use href="#icon-trash"></use></svg>';
+      del.onclick = () => {
+        confirmDialog(`Delete the ${fmtDuration(session.minutes)} session from ${fmtDate(session.date)}?`, { danger: true }).then(yes => {
+          if (!yes) return;
+          const current = state.games.find(x => x.id === id);
+          updateGame(id, { sessions: current.sessions.filter(x => x.id !== session.id) });
+          renderDetails(id);
+        });
+      };
+      li.append(date, duration, noteEl, del);
+      refs.sessionsList.appendChild(li);
+    });
+    if (!history.length) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = 'No sessions logged yet.';
+      refs.sessionsList.appendChild(li);
+    }
+  }
+
+  function stopSessionTicker() {
+    clearInterval(state.sessionTicker);
+    state.sessionTicker = null;
+  }
+
+  const fmtElapsed = (ms) => {
+    const total = Math.floor(ms / 1000);
+    const pad = n => String(n).padStart(2, '0');
+    return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  };
+
   function setNotesSavedIndicator(saved) {
     refs.notesSavedIndicator.textContent = saved ? 'Saved' : 'Unsaved changes…';
     refs.notesSavedIndicator.classList.toggle('muted', saved);
@@ -912,6 +3438,7 @@
   // ========== FORM VIEW ==========
   let currentFormGameId = null;
   let selectedTagIds = new Set();
+  let formCoverId = ''; // uploaded cover of the game being edited, see useCoverFile
 
   function renderForm(id = null) {
     currentFormGameId = id;
@@ -924,14 +3451,15 @@
       if (!g) { toast('Game not found'); go('/games'); return; }
       refs.formTitle.textContent = `Edit Game`;
       refs.titleInput.value = g.title || '';
-      refs.platformSelect.value = g.platform || 'PC';
+      setSelectValue(refs.platformSelect, g.platform || 'PC');
       refs.releaseDateInput.value = g.releaseDate || '';
-      refs.statusSelect.value = g.status || 'Unplayed';
-      refs.playtimeSelect.value = g.playtime || 'Average (20-40 hours)';
+      setSelectValue(refs.statusSelect, g.status || defaultStatus());
+      setSelectValue(refs.playtimeSelect, g.playtime || defaultPlaytime());
       refs.notesInput.value = g.notes || '';
       refs.favoriteInput.checked = !!g.favorite;
       refs.imageUrlInput.value = g.imageUrl || '';
-      setImage(refs.imagePreview, g.imageUrl || PLACEHOLDER_COVER(g.title), 'Cover preview');
+      formCoverId = g.coverId || '';
+      renderCoverPreview();
 
       selectedTagIds = new Set(g.tagIds || []);
       renderFormSelectedTags();
@@ -939,7 +3467,8 @@
       refs.formTitle.textContent = 'Add Game';
       refs.gameForm.reset();
       selectedTagIds = new Set();
-      setImage(refs.imagePreview, '');
+      formCoverId = '';
+      renderCoverPreview();
       refs.tagQuickAdd.value = '';
       renderFormSelectedTags();
     }
@@ -951,14 +3480,47 @@
   }
 
   function attachFormEvents() {
-    refs.imageUrlInput.addEventListener('input', () => {
-      const url = refs.imageUrlInput.value.trim();
-      if (url) {
-        setImage(refs.imagePreview, url, 'Cover preview');
-        refs.imagePreview.onerror = () => setImage(refs.imagePreview, PLACEHOLDER_COVER(refs.titleInput.value || 'Cover'), 'Cover preview');
-      } else {
-        setImage(refs.imagePreview, '');
-      }
+    refs.imageUrlInput.addEventListener('input', renderCoverPreview);
+    refs.titleInput.addEventListener('input', () => {
+      if (!formCoverId && !refs.imageUrlInput.value.trim()) renderCoverPreview();
+    });
+
+    // Cover image files: picked, pasted anywhere on the form, or dropped on the preview
+    refs.coverUploadBtn.addEventListener('click', () => refs.coverFile.click());
+    refs.coverFile.addEventListener('change', () => {
+      const file = refs.coverFile.files?.[0];
+      refs.coverFile.value = '';
+      if (file) useCoverFile(file);
+    });
+    refs.coverRemoveBtn.addEventListener('click', () => {
+      formCoverId = '';
+      renderCoverPreview();
+    });
+    document.addEventListener('paste', (e) => {
+      if (refs.viewForm.hidden) return;
+      const file = Array.from(e.clipboardData?.files || []).find(f => f.type.startsWith('image/'));
+      if (!file) return;
+      e.preventDefault();
+      useCoverFile(file);
+    });
+    ['dragenter', 'dragover'].forEach(type => refs.coverDropZone.addEventListener(type, (e) => {
+      if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+      e.preventDefault();
+      refs.coverDropZone.classList.add('drag-over');
+    }));
+    refs.coverDropZone.addEventListener('dragleave', (e) => {
+      if (!refs.coverDropZone.contains(e.relatedTarget)) refs.coverDropZone.classList.remove('drag-over');
+    });
+    refs.coverDropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      refs.coverDropZone.classList.remove('drag-over');
+      const file = e.dataTransfer?.files?.[0];
+      if (file) useCoverFile(file);
+    });
+
+    refs.managePlatformsFromFormBtn.addEventListener('click', () => {
+      state.formDraft = collectFormData();
+      go('#/platforms');
     });
 
     refs.manageTagsFromFormBtn.addEventListener('click', () => {
@@ -976,9 +3538,9 @@
         let tag = state.tags.find(t => t.name.toLowerCase() === name.toLowerCase());
         if (!tag) {
           // Create new tag
-          tag = { id: uid(), name, color: randomPastel(), emoji: '' };
+          tag = { id: uid(), name, color: randomPastel(), emoji: '', order: nextTagOrder() };
           state.tags.push(tag);
-          Storage.setTags(state.tags);
+          Storage.putTag(tag);
           renderFilterTagChips(); // keep filters list in sync
           toast(`Tag “${name}” created`);
         }
@@ -1001,42 +3563,45 @@
         refs.titleInput.focus();
         return;
       }
-      if (!PLATFORMS.includes(data.platform)) {
+      // Values outside the known lists are allowed when preserved from stored/imported data
+      if (!data.platform) {
         toast('Please select a platform');
         refs.platformSelect.focus();
         return;
       }
-      if (!STATUSES.includes(data.status)) {
+      if (!data.status) {
         toast('Please select a status');
         refs.statusSelect.focus();
         return;
       }
-      if (!PLAYTIMES.includes(data.playtime)) {
+      if (!data.playtime) {
         toast('Please select a playtime');
         refs.playtimeSelect.focus();
         return;
       }
 
       if (currentFormGameId) {
-        updateGame(currentFormGameId, {
+        const entry = updateGame(currentFormGameId, {
           ...data,
           tagIds: Array.from(selectedTagIds)
         });
-        toast('Game updated');
+        toastUndo(entry ? 'Game updated' : 'No changes', entry);
         go(`#/game/${currentFormGameId}`);
       } else {
         const newGame = {
           id: uid(),
           ...data,
           tagIds: Array.from(selectedTagIds),
+          timeline: [{ at: now(), type: 'added', to: data.status }],
           dateAdded: now(),
           dateUpdated: now()
         };
         state.games.push(newGame);
-        Storage.setGames(state.games);
+        Storage.putGame(newGame);
         toast('Game added');
         go(`#/game/${newGame.id}`);
       }
+      cacheRemoteCovers();
     });
 
     refs.cancelFormBtn.addEventListener('click', () => {
@@ -1062,20 +3627,44 @@
       playtime: refs.playtimeSelect.value,
       notes: refs.notesInput.value,
       favorite: !!refs.favoriteInput.checked,
-      imageUrl: refs.imageUrlInput.value.trim()
+      imageUrl: refs.imageUrlInput.value.trim(),
+      coverId: formCoverId
     };
   }
 
   function fillFormFromDraft(draft) {
     refs.titleInput.value = draft.title || '';
-    refs.platformSelect.value = draft.platform || 'PC';
+    setSelectValue(refs.platformSelect, draft.platform || 'PC');
     refs.releaseDateInput.value = draft.releaseDate || '';
-    refs.statusSelect.value = draft.status || 'Unplayed';
-    refs.playtimeSelect.value = draft.playtime || 'Average (20-40 hours)';
+    setSelectValue(refs.statusSelect, draft.status || defaultStatus());
+    setSelectValue(refs.playtimeSelect, draft.playtime || defaultPlaytime());
     refs.notesInput.value = draft.notes || '';
     refs.favoriteInput.checked = !!draft.favorite;
     refs.imageUrlInput.value = draft.imageUrl || '';
-    setImage(refs.imagePreview, draft.imageUrl || '');
+    formCoverId = draft.coverId || '';
+    renderCoverPreview();
+  }
+
+  function renderCoverPreview() {
+    const title = refs.titleInput.value.trim() || 'Cover';
+    setImage(refs.imagePreview, coverUrl({ title, coverId: formCoverId, imageUrl: refs.imageUrlInput.value.trim() }), 'Cover preview');
+    refs.imagePreview.onerror = () => setImage(refs.imagePreview, PLACEHOLDER_COVER(title), 'Cover preview');
+    refs.coverRemoveBtn.hidden = !formCoverId;
+  }
+
+  // Downscales and stores the image right away; it only sticks to the game once the
+  // form is saved (unused uploads are pruned on the next start)
+  async function useCoverFile(file) {
+    if (!file.type.startsWith('image/')) { toast('That file is not an image'); return; }
+    try {
+      const blob = await downscaleImage(file);
+      const [cover] = await addCovers([{ id: uid(), blob, createdAt: now() }]);
+      formCoverId = cover.id;
+      renderCoverPreview();
+    } catch (err) {
+      console.error(err);
+      toast('Could not read that image');
+    }
   }
 
   function renderFormTagOptions(filter = '') {
@@ -1158,8 +3747,7 @@
           name: name.value.trim() || 'Tag',
           emoji: emoji.value.trim()
         };
-        updateTag(newTag);
-        toast('Tag saved');
+        toastUndo('Tag saved', updateTag(newTag));
       });
 
       deleteBtn.addEventListener('click', () => {
@@ -1169,147 +3757,2983 @@
           : `Delete tag “${tag.name}”?`;
         confirmDialog(msg, { danger: true }).then(yes => {
           if (!yes) return;
-          deleteTag(tag.id);
-          toast('Tag deleted');
+          toastUndo('Tag moved to trash', deleteTag(tag.id));
           renderTagsManager();
         });
       });
 
-      refs.tagsList.appendChild(row);
+      refs.tagsList.appendChild(row);
+    });
+  }
+
+  function attachTagsManagerEvents() {
+    refs.addTagBtn.addEventListener('click', () => {
+      const newTag = { id: uid(), name: 'New Tag', color: randomPastel(), emoji: '', order: nextTagOrder() };
+      state.tags.push(newTag);
+      Storage.putTag(newTag);
+      renderTagsManager();
+      renderFormTagOptions();
+      renderFilterTagChips();
+    });
+
+    // Back button is handled globally by .backBtn listeners in each view via route()
+    $$('.backBtn', refs.viewTags).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // Returns the undo entry, or null when nothing changed
+  function updateTag(updated) {
+    const idx = state.tags.findIndex(t => t.id === updated.id);
+    if (idx === -1) return null;
+    const before = state.tags[idx];
+    state.tags[idx] = sanitizeTag(updated);
+    Storage.putTag(state.tags[idx]);
+    const unchanged = JSON.stringify(before) === JSON.stringify(state.tags[idx]);
+    const entry = unchanged ? null : recordChange(`Edit tag ${before.name}`, { tags: [[before, state.tags[idx]]] });
+    renderFormTagOptions();
+    renderFilterTagChips();
+    // Also update games list to render new tag names/colors
+    renderGames();
+    return entry;
+  }
+
+  // Moves the tag to the trash. It is taken off every game (trashed ones included) and the
+  // trashed tag remembers which, so restoring it puts it back.
+  function deleteTag(id) {
+    const tag = state.tags.find(t => t.id === id);
+    if (!tag) return null;
+    const touched = [];
+    const strip = g => {
+      if (!g.tagIds?.includes(id)) return g;
+      const next = { ...g, tagIds: g.tagIds.filter(tid => tid !== id), dateUpdated: now() };
+      touched.push([g, next]);
+      return next;
+    };
+    setGameRecords([...state.games, ...state.trash.games].map(strip));
+    const trashed = { ...tag, deletedAt: now(), gameIds: touched.map(([g]) => g.id) };
+    setTagRecords([...state.tags.filter(t => t.id !== id), ...state.trash.tags, trashed]);
+    Storage.putTag(trashed);
+    if (touched.length) Storage.putGames(touched.map(([, next]) => next));
+    const entry = recordChange(`Delete tag ${tag.name}`, { tags: [[tag, trashed]], games: touched });
+    // A deleted tag left in a required list would hide every game
+    [state.prefs.filters, state.filtersWorking].filter(Boolean).forEach(f => {
+      Object.values(TAG_FILTER_LISTS).forEach(key => { f[key] = f[key].filter(tid => tid !== id); });
+    });
+    savePrefs();
+    renderFormTagOptions();
+    renderFilterTagChips();
+    renderGames();
+    return entry;
+  }
+
+  // ========== PLATFORMS MANAGER ==========
+  // Games store their platform by name, so renames and merges rewrite the affected games
+  // (and any saved platform filter). List order drives the "Platform" sort.
+  function renderPlatformsManager() {
+    refs.platformsList.innerHTML = '';
+    const tpl = refs.platformRowTemplate.content;
+    const usage = new Map();
+    state.games.forEach(g => usage.set(g.platform, (usage.get(g.platform) || 0) + 1));
+
+    state.platforms.forEach((platform, index) => {
+      const row = tpl.cloneNode(true);
+      const el = row.querySelector('.platform-row');
+      el.dataset.id = platform.id;
+      const upBtn = el.querySelector('.move-up');
+      const downBtn = el.querySelector('.move-down');
+      const icon = el.querySelector('.platform-icon');
+      const name = el.querySelector('.platform-name');
+      const short = el.querySelector('.platform-short');
+      const hidden = el.querySelector('.platform-hidden');
+      const count = el.querySelector('.platform-usage');
+      const mergeSelect = el.querySelector('.platform-merge');
+      const saveBtn = el.querySelector('.save-platform');
+      const deleteBtn = el.querySelector('.delete-platform');
+      const used = usage.get(platform.name) || 0;
+
+      icon.value = platform.icon || '';
+      name.value = platform.name;
+      short.value = platform.short || '';
+      hidden.checked = !!platform.hidden;
+      count.textContent = `${used} game${used === 1 ? '' : 's'}`;
+      upBtn.disabled = index === 0;
+      downBtn.disabled = index === state.platforms.length - 1;
+      state.platforms.filter(p => p.id !== platform.id).forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.id; opt.textContent = p.name;
+        mergeSelect.appendChild(opt);
+      });
+
+      upBtn.addEventListener('click', () => movePlatform(platform.id, -1));
+      downBtn.addEventListener('click', () => movePlatform(platform.id, 1));
+
+      saveBtn.addEventListener('click', () => {
+        const newName = name.value.trim();
+        if (!newName) {
+          toast('Platform name is required');
+          name.focus();
+          return;
+        }
+        if (state.platforms.some(p => p.id !== platform.id && p.name === newName)) {
+          toast(`“${newName}” already exists. Merge into it instead.`);
+          name.focus();
+          return;
+        }
+        const entry = updatePlatform({
+          ...platform,
+          name: newName,
+          short: short.value.trim(),
+          icon: icon.value.trim(),
+          hidden: hidden.checked
+        });
+        toastUndo('Platform saved', entry);
+        renderPlatformsManager();
+      });
+
+      mergeSelect.addEventListener('change', () => {
+        const target = state.platforms.find(p => p.id === mergeSelect.value);
+        if (!target) return;
+        const msg = used > 0
+          ? `Merge “${platform.name}” into “${target.name}”? ${used} game(s) will move to “${target.name}”.`
+          : `Merge “${platform.name}” into “${target.name}”?`;
+        confirmDialog(msg, { danger: true }).then(yes => {
+          if (!yes) { mergeSelect.value = ''; return; }
+          toastUndo(`Merged into ${target.name}`, mergePlatform(platform.id, target.id));
+          renderPlatformsManager();
+        });
+      });
+
+      deleteBtn.addEventListener('click', () => {
+        if (used > 0) {
+          toast(`“${platform.name}” is used by ${used} game(s). Merge it into another platform instead.`, { duration: 3000 });
+          return;
+        }
+        confirmDialog(`Delete platform “${platform.name}”?`, { danger: true }).then(yes => {
+          if (!yes) return;
+          deletePlatform(platform.id);
+          toast('Platform deleted');
+          renderPlatformsManager();
+        });
+      });
+
+      refs.platformsList.appendChild(row);
+    });
+  }
+
+  function attachPlatformsManagerEvents() {
+    refs.addPlatformBtn.addEventListener('click', () => {
+      let name = 'New Platform';
+      for (let n = 2; state.platforms.some(p => p.name === name); n++) name = `New Platform ${n}`;
+      const order = state.platforms.reduce((max, p) => Math.max(max, p.order), -1) + 1;
+      const platform = createPlatform(name, order);
+      state.platforms.push(platform);
+      Storage.putPlatforms([platform]);
+      refreshListViews();
+      renderPlatformsManager();
+      $('.platform-row:last-child .platform-name', refs.platformsList)?.select();
+    });
+
+    $$('.backBtn', refs.viewPlatforms).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // Only renames are undoable (they rewrite games); returns that undo entry or null
+  function updatePlatform(updated) {
+    const idx = state.platforms.findIndex(p => p.id === updated.id);
+    if (idx === -1) return null;
+    const old = state.platforms[idx];
+    state.platforms[idx] = sanitizePlatform(updated);
+    Storage.putPlatforms([state.platforms[idx]]);
+    const entry = old.name === state.platforms[idx].name ? null
+      : renameGamesValue('platform', old.name, state.platforms[idx].name, `Rename platform ${old.name}`, { platforms: [[old, state.platforms[idx]]] });
+    refreshListViews();
+    return entry;
+  }
+
+  // Moves a platform one step up (-1) or down (+1) and renumbers the list
+  function movePlatform(id, delta) {
+    const idx = state.platforms.findIndex(p => p.id === id);
+    const to = idx + delta;
+    if (idx === -1 || to < 0 || to >= state.platforms.length) return;
+    const list = state.platforms.slice();
+    [list[idx], list[to]] = [list[to], list[idx]];
+    state.platforms = list.map((p, i) => ({ ...p, order: i }));
+    Storage.putPlatforms(state.platforms);
+    refreshListViews();
+    renderPlatformsManager();
+    $(`.platform-row[data-id="${id}"] .${delta < 0 ? 'move-up' : 'move-down'}`, refs.platformsList)?.focus();
+  }
+
+  function mergePlatform(fromId, toId) {
+    const from = state.platforms.find(p => p.id === fromId);
+    const to = state.platforms.find(p => p.id === toId);
+    if (!from || !to) return null;
+    state.platforms = state.platforms.filter(p => p.id !== fromId);
+    Storage.deletePlatform(fromId);
+    const entry = renameGamesValue('platform', from.name, to.name, `Merge platform ${from.name} into ${to.name}`, { platforms: [[from, null]] });
+    refreshListViews();
+    return entry;
+  }
+
+  function deletePlatform(id) {
+    state.platforms = state.platforms.filter(p => p.id !== id);
+    Storage.deletePlatform(id);
+    refreshListViews();
+  }
+
+  // Moves every game (trashed ones too) from `oldName` to `newName` through updateGames, so it
+  // is one undo step named `label`; `records` are the list records changed alongside (see
+  // UNDO_STORES). It counts as a rename: no timeline entries unless `rename` is false.
+  // Returns the undo entry.
+  function renameGamesValue(field, oldName, newName, label, records, { rename = true } = {}) {
+    const swap = n => (n === oldName ? newName : n);
+    // Keep the timeline on the new name too, or started/finished dates stop matching
+    const inHistory = g => field === 'status' && (g.timeline || []).some(e => e.from === oldName || e.to === oldName);
+    const ids = [...state.games, ...state.trash.games].filter(g => g[field] === oldName || inHistory(g)).map(g => g.id);
+    const entry = updateGames(ids, g => ({
+      [field]: swap(g[field]),
+      timeline: field === 'status' ? (g.timeline || []).map(e => ({ ...e, from: swap(e.from), to: swap(e.to) })) : g.timeline
+    }), label, { rename, records });
+    renameFilterValue(FILTER_KEYS[field], oldName, newName);
+    return entry;
+  }
+
+  // The saved filter and saved views follow a renamed list value. `key` is a filter list
+  // (FILTER_KEYS), named like its store in UNDO_STORES.
+  function renameFilterValue(key, oldName, newName) {
+    const remap = filters => {
+      const list = filters?.[key];
+      if (!list?.includes(oldName)) return false;
+      filters[key] = Array.from(new Set(list.map(n => (n === oldName ? newName : n))));
+      return true;
+    };
+    if (remap(state.prefs.filters)) savePrefs();
+    if (state.views.map(v => remap(v.filters)).some(Boolean)) Storage.setViews(state.views);
+  }
+
+
+  // ========== STATUSES & PLAYTIMES MANAGER ==========
+  // Both lists share one editor: rename, reorder, merge and delete, with games remapped
+  // by name. Each list is saved whole (see Storage.setStatuses / setPlaytimes).
+  const VALUE_LISTS = {
+    status: {
+      key: 'statuses',
+      noun: 'status',
+      create: (name, order) => createStatus(name, order),
+      sanitize: (r) => sanitizeStatus(r),
+      save: (list) => Storage.setStatuses(list)
+    },
+    playtime: {
+      key: 'playtimes',
+      noun: 'playtime',
+      create: (name, order) => createPlaytime(name, order),
+      sanitize: (r) => sanitizePlaytime(r),
+      save: (list) => Storage.setPlaytimes(list)
+    }
+  };
+
+  function renderStatusesManager() {
+    renderValueList('status', refs.statusesList, refs.statusRowTemplate, (el, st) => {
+      el.querySelector('.status-color').value = st.color;
+      el.querySelector('.status-finished').checked = !!st.finished;
+      el.querySelector('.status-playing').checked = !!st.playing;
+      el.querySelector('.status-points').value = st.pickPoints || 0;
+    }, (el) => ({
+      color: el.querySelector('.status-color').value,
+      finished: el.querySelector('.status-finished').checked,
+      playing: el.querySelector('.status-playing').checked,
+      pickPoints: el.querySelector('.status-points').value
+    }));
+    renderValueList('playtime', refs.playtimesList, refs.playtimeRowTemplate, (el, pt) => {
+      el.querySelector('.playtime-min').value = pt.minHours ?? '';
+      el.querySelector('.playtime-max').value = pt.maxHours ?? '';
+    }, (el) => ({
+      minHours: el.querySelector('.playtime-min').value,
+      maxHours: el.querySelector('.playtime-max').value
+    }));
+  }
+
+  // fill(el, record) sets the list-specific inputs; read(el) returns their values
+  function renderValueList(kind, container, template, fill, read) {
+    const { key, noun } = VALUE_LISTS[kind];
+    const list = state[key];
+    const usage = new Map();
+    state.games.forEach(g => usage.set(g[kind], (usage.get(g[kind]) || 0) + 1));
+    container.innerHTML = '';
+
+    list.forEach((item, index) => {
+      const row = template.content.cloneNode(true);
+      const el = row.querySelector('.value-row');
+      el.dataset.id = item.id;
+      const name = el.querySelector('.value-name');
+      const count = el.querySelector('.value-usage');
+      const upBtn = el.querySelector('.move-up');
+      const downBtn = el.querySelector('.move-down');
+      const mergeSelect = el.querySelector('.value-merge');
+      const used = usage.get(item.name) || 0;
+
+      name.value = item.name;
+      count.textContent = `${used} game${used === 1 ? '' : 's'}`;
+      upBtn.disabled = index === 0;
+      downBtn.disabled = index === list.length - 1;
+      fill(el, item);
+      list.filter(r => r.id !== item.id).forEach(r => {
+        const opt = document.createElement('option');
+        opt.value = r.id; opt.textContent = r.name;
+        mergeSelect.appendChild(opt);
+      });
+
+      upBtn.addEventListener('click', () => moveListValue(kind, item.id, -1));
+      downBtn.addEventListener('click', () => moveListValue(kind, item.id, 1));
+
+      el.querySelector('.save-value').addEventListener('click', () => {
+        const newName = name.value.trim();
+        if (!newName) {
+          toast(`A ${noun} needs a name`);
+          name.focus();
+          return;
+        }
+        if (list.some(r => r.id !== item.id && r.name === newName)) {
+          toast(`“${newName}” already exists. Merge into it instead.`);
+          name.focus();
+          return;
+        }
+        toastUndo(`${noun[0].toUpperCase()}${noun.slice(1)} saved`, updateListValue(kind, { ...item, ...read(el), name: newName }));
+        renderStatusesManager();
+      });
+
+      mergeSelect.addEventListener('change', () => {
+        const target = list.find(r => r.id === mergeSelect.value);
+        if (!target) return;
+        const msg = used > 0
+          ? `Merge “${item.name}” into “${target.name}”? ${used} game(s) will move to “${target.name}”.`
+          : `Merge “${item.name}” into “${target.name}”?`;
+        confirmDialog(msg, { danger: true }).then(yes => {
+          if (!yes) { mergeSelect.value = ''; return; }
+          toastUndo(`Merged into ${target.name}`, mergeListValue(kind, item.id, target.id));
+          renderStatusesManager();
+        });
+      });
+
+      el.querySelector('.delete-value').addEventListener('click', () => {
+        if (list.length === 1) {
+          toast(`Keep at least one ${noun}`);
+          return;
+        }
+        // Games on a deleted entry move to its neighbour (the previous one when there is one)
+        const fallback = list[index > 0 ? index - 1 : 1];
+        const msg = used > 0
+          ? `Delete ${noun} “${item.name}”? Its ${used} game(s) will move to “${fallback.name}”.`
+          : `Delete ${noun} “${item.name}”?`;
+        confirmDialog(msg, { danger: true }).then(yes => {
+          if (!yes) return;
+          toastUndo(`${noun[0].toUpperCase()}${noun.slice(1)} deleted`, mergeListValue(kind, item.id, fallback.id));
+          renderStatusesManager();
+        });
+      });
+
+      container.appendChild(row);
+    });
+  }
+
+  function attachStatusesManagerEvents() {
+    const addValue = (kind, baseName) => {
+      const { key, create, save } = VALUE_LISTS[kind];
+      let name = baseName;
+      for (let n = 2; state[key].some(r => r.name === name); n++) name = `${baseName} ${n}`;
+      const order = state[key].reduce((max, r) => Math.max(max, r.order), -1) + 1;
+      state[key] = [...state[key], create(name, order)];
+      save(state[key]);
+      refreshListViews();
+      renderStatusesManager();
+    };
+    refs.addStatusBtn.addEventListener('click', () => addValue('status', 'New Status'));
+    refs.addPlaytimeBtn.addEventListener('click', () => addValue('playtime', 'New Playtime'));
+
+    $$('.backBtn', refs.viewStatuses).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // Only renames are undoable (they rewrite games); returns that undo entry or null
+  function updateListValue(kind, updated) {
+    const { key, noun, sanitize, save } = VALUE_LISTS[kind];
+    const old = state[key].find(r => r.id === updated.id);
+    if (!old) return null;
+    const record = sanitize(updated);
+    state[key] = state[key].map(r => (r.id === updated.id ? record : r));
+    save(state[key]);
+    const entry = old.name === record.name ? null
+      : renameGamesValue(kind, old.name, record.name, `Rename ${noun} ${old.name}`, { [key]: [[old, record]] });
+    refreshListViews();
+    return entry;
+  }
+
+  function moveListValue(kind, id, delta) {
+    const { key, save } = VALUE_LISTS[kind];
+    const list = state[key].slice();
+    const idx = list.findIndex(r => r.id === id);
+    const to = idx + delta;
+    if (idx === -1 || to < 0 || to >= list.length) return;
+    [list[idx], list[to]] = [list[to], list[idx]];
+    state[key] = list.map((r, i) => ({ ...r, order: i }));
+    save(state[key]);
+    refreshListViews();
+    renderStatusesManager();
+    $(`.value-row[data-id="${id}"] .${delta < 0 ? 'move-up' : 'move-down'}`, refs.viewStatuses)?.focus();
+  }
+
+  // Removes `fromId` and moves its games to `toId` (also used by delete), as one undo step.
+  // Games moving between an unfinished and a finished status get a status change on their
+  // timeline and leave the Up Next queue like any other finished game.
+  function mergeListValue(kind, fromId, toId) {
+    const { key, noun, save } = VALUE_LISTS[kind];
+    const from = state[key].find(r => r.id === fromId);
+    const to = state[key].find(r => r.id === toId);
+    if (!from || !to) return null;
+    state[key] = state[key].filter(r => r.id !== fromId);
+    save(state[key]);
+    const rename = kind !== 'status' || !!from.finished === !!to.finished;
+    const entry = renameGamesValue(kind, from.name, to.name, `Merge ${noun} ${from.name} into ${to.name}`,
+      { [key]: [[from, null]] }, { rename });
+    refreshListViews();
+    return entry;
+  }
+
+  // ========== STATISTICS ==========
+  // Charts are plain DOM: every bar is a button that opens #/games with the matching filters.
+  const STATS_MONTHS = 12;
+
+  function renderStats() {
+    const games = state.games;
+    const finished = games.filter(isFinished);
+    const dates = new Map(games.map(g => [g.id, gameDates(g)]));
+    const remaining = games.filter(g => !isFinished(g))
+      .map(g => ({ g, hours: Math.max(0, estimatedHours(g) - minutesPlayed(g) / 60) }));
+    const remainingHours = remaining.reduce((sum, r) => sum + r.hours, 0);
+
+    refs.statsSummary.innerHTML = '';
+    [
+      ['Games', games.length],
+      ['Finished', finished.length],
+      ['Completion', games.length ? `${Math.round((finished.length / games.length) * 100)}%` : '—'],
+      ['Backlog left', `≈ ${Math.round(remainingHours)} h`]
+    ].forEach(([label, value]) => {
+      const card = document.createElement('div');
+      card.className = 'stat-card';
+      const v = document.createElement('strong'); v.textContent = value;
+      const l = document.createElement('span'); l.className = 'muted'; l.textContent = label;
+      card.append(v, l);
+      refs.statsSummary.appendChild(card);
+    });
+
+    const countBy = (values) => values.reduce((m, v) => m.set(v, (m.get(v) || 0) + 1), new Map());
+    const statusColor = name => state.statuses.find(s => s.name === name)?.color;
+
+    const byStatus = countBy(games.map(g => g.status));
+    renderBarChart(refs.statsByStatus, state.statuses.filter(s => byStatus.has(s.name)).map(s => ({
+      label: s.name, value: byStatus.get(s.name), color: s.color, filters: { statuses: [s.name] }
+    })));
+
+    const byPlatform = countBy(games.map(g => g.platform));
+    renderBarChart(refs.statsByPlatform, Array.from(byPlatform, ([name, value]) => ({
+      label: platformLabel(name), value, filters: { platforms: [name] }
+    })).sort((a, b) => b.value - a.value));
+
+    const byTag = countBy(games.flatMap(g => g.tagIds || []));
+    renderBarChart(refs.statsByTag, state.tags.filter(t => byTag.has(t.id)).map(t => ({
+      label: `${t.emoji || '🏷️'} ${t.name}`, value: byTag.get(t.id), color: t.color, filters: { tags: [t.id] }
+    })).sort((a, b) => b.value - a.value).slice(0, 15));
+
+    const byPlaytime = countBy(games.map(g => g.playtime));
+    renderBarChart(refs.statsByPlaytime, state.playtimes.filter(p => byPlaytime.has(p.name)).map(p => ({
+      label: p.name, value: byPlaytime.get(p.name), filters: { playtimes: [p.name] }
+    })));
+
+    const remainingByStatus = new Map();
+    remaining.forEach(({ g, hours }) => remainingByStatus.set(g.status, (remainingByStatus.get(g.status) || 0) + hours));
+    renderBarChart(refs.statsRemaining, state.statuses.filter(s => remainingByStatus.get(s.name) > 0).map(s => ({
+      label: s.name, value: Math.round(remainingByStatus.get(s.name)), color: s.color, format: v => `${v} h`,
+      filters: { statuses: [s.name] }
+    })));
+
+    // Month buckets, oldest first, ending with the current month
+    const months = [];
+    const cursor = new Date();
+    cursor.setDate(1); cursor.setHours(0, 0, 0, 0);
+    for (let i = 0; i < STATS_MONTHS; i++) {
+      const start = new Date(cursor.getFullYear(), cursor.getMonth() - i, 1);
+      const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      months.unshift({
+        start: start.getTime(),
+        end: end.getTime(),
+        label: start.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+        from: toIsoDate(start.getTime()),
+        to: toIsoDate(end.getTime() - 1)
+      });
+    }
+    const finishedAt = games.map(g => dates.get(g.id).finishedOn).filter(v => v != null);
+    const inMonth = (values, m) => values.filter(v => v >= m.start && v < m.end).length;
+    const added = games.map(g => g.dateAdded);
+
+    renderColumnChart(refs.statsCompletion, months.map(m => {
+      const total = added.filter(v => v < m.end).length;
+      const done = finishedAt.filter(v => v < m.end).length;
+      return {
+        label: m.label,
+        bars: [{
+          value: total ? Math.round((done / total) * 100) : 0,
+          max: 100,
+          format: v => `${v}%`,
+          title: `${m.label}: ${done} of ${total} finished`,
+          filters: { rangeField: 'finishedOn', rangeMax: m.to }
+        }]
+      };
+    }));
+
+    const monthlyMax = Math.max(1, ...months.map(m => Math.max(inMonth(added, m), inMonth(finishedAt, m))));
+    renderColumnChart(refs.statsMonthly, months.map(m => ({
+      label: m.label,
+      bars: [
+        { series: 'added', value: inMonth(added, m), max: monthlyMax, title: `${m.label}: ${inMonth(added, m)} added`,
+          filters: { rangeField: 'dateAdded', rangeMin: m.from, rangeMax: m.to } },
+        { series: 'finished', value: inMonth(finishedAt, m), max: monthlyMax, title: `${m.label}: ${inMonth(finishedAt, m)} finished`,
+          filters: { rangeField: 'finishedOn', rangeMin: m.from, rangeMax: m.to } }
+      ]
+    })));
+
+    const undated = finished.length - finishedAt.length;
+    refs.statsFootnote.textContent = undated
+      ? `${undated} finished game(s) have no recorded finish date (e.g. imported as finished) and are left out of the monthly charts.`
+      : 'Monthly charts use the status changes recorded on each game’s timeline.';
+  }
+
+  // rows: [{ label, value, color?, format?, filters }]
+  function renderBarChart(container, rows) {
+    container.innerHTML = '';
+    if (!rows.length) {
+      const empty = document.createElement('p');
+      empty.className = 'muted';
+      empty.textContent = 'Nothing to show yet.';
+      container.appendChild(empty);
+      return;
+    }
+    const max = Math.max(...rows.map(r => r.value));
+    rows.forEach(row => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'bar-row';
+      const valueText = row.format ? row.format(row.value) : String(row.value);
+      btn.title = `Show ${row.label} (${valueText})`;
+      const label = document.createElement('span'); label.className = 'bar-label'; label.textContent = row.label;
+      const track = document.createElement('span'); track.className = 'bar-track';
+      const fill = document.createElement('span'); fill.className = 'bar-fill';
+      fill.style.width = `${max ? (row.value / max) * 100 : 0}%`;
+      if (row.color) fill.style.background = row.color;
+      track.appendChild(fill);
+      const value = document.createElement('span'); value.className = 'bar-value'; value.textContent = valueText;
+      btn.append(label, track, value);
+      btn.addEventListener('click', () => showFilteredGames(row.filters));
+      container.appendChild(btn);
+    });
+  }
+
+  // columns: [{ label, bars: [{ value, max, series?, format?, title, filters }] }]
+  function renderColumnChart(container, columns) {
+    container.innerHTML = '';
+    columns.forEach(col => {
+      const group = document.createElement('div');
+      group.className = 'column-group';
+      const bars = document.createElement('div');
+      bars.className = 'column-bars';
+      col.bars.forEach(bar => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `column-bar${bar.series ? ` ${bar.series}` : ''}`;
+        btn.style.height = `${bar.max ? (bar.value / bar.max) * 100 : 0}%`;
+        btn.title = bar.title;
+        btn.setAttribute('aria-label', bar.title);
+        btn.dataset.value = bar.format ? bar.format(bar.value) : String(bar.value);
+        btn.addEventListener('click', () => showFilteredGames(bar.filters));
+        bars.appendChild(btn);
+      });
+      const label = document.createElement('span');
+      label.className = 'column-label';
+      label.textContent = col.label;
+      group.append(bars, label);
+      container.appendChild(group);
+    });
+  }
+
+  // Replaces the current filters (and search) so the list matches the clicked segment
+  function showFilteredGames(filters) {
+    state.prefs.filters = { ...JSON.parse(JSON.stringify(DEFAULT_PREFS.filters)), ...filters };
+    state.prefs.search = '';
+    refs.globalSearch.value = '';
+    syncRelevanceSort();
+    savePrefs();
+    updateActiveFiltersSummary();
+    go('/games');
+  }
+
+  function attachStatsEvents() {
+    $$('.backBtn', refs.viewStats).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // ========== UP NEXT QUEUE ==========
+  // A hand-ordered list of games to play next (#/queue). Each game keeps its place in
+  // `queuePos` (1 = next, null = not queued), so the queue is stored, exported and undone
+  // along with the games. Positions may have gaps; only their order matters.
+  const queueDrag = { id: null };
+
+  function queuedGames() {
+    return state.games.filter(g => g.queuePos != null).sort((a, b) => a.queuePos - b.queuePos);
+  }
+
+  // 1-based place in the queue, 0 when not queued
+  function queueRank(id) {
+    return queuedGames().findIndex(g => g.id === id) + 1;
+  }
+
+  // Renumbers the queue from `ids` (in order) in one storage write and one undo step.
+  // Queue moves are not edits: dateUpdated and the timeline stay as they are.
+  // Returns the undo entry, or null when the queue already matched.
+  function setQueue(ids, label) {
+    const pos = new Map(ids.map((id, i) => [id, i + 1]));
+    const changed = [];
+    state.games = state.games.map(cur => {
+      const queuePos = pos.get(cur.id) ?? null;
+      if (cur.queuePos === queuePos) return cur;
+      const game = { ...cur, queuePos };
+      changed.push([cur, game]);
+      return game;
+    });
+    if (!changed.length) return null;
+    Storage.putGames(changed.map(([, game]) => game));
+    const entry = recordChange(label, { games: changed });
+    renderGames();
+    if (state.currentRoute?.path === '/queue') renderQueue();
+    return entry;
+  }
+
+  function toggleQueued(id) {
+    const game = state.games.find(g => g.id === id);
+    if (!game) return;
+    const ids = queuedGames().map(g => g.id);
+    if (ids.includes(id)) {
+      toastUndo('Removed from Up Next', setQueue(ids.filter(x => x !== id), `Remove ${game.title} from Up Next`));
+    } else {
+      toastUndo(`Added to Up Next (#${ids.length + 1})`, setQueue([...ids, id], `Add ${game.title} to Up Next`));
+    }
+  }
+
+  function moveQueued(id, to) {
+    const ids = queuedGames().map(g => g.id);
+    const from = ids.indexOf(id);
+    to = clamp(to, 0, ids.length - 1);
+    if (from < 0 || from === to) return;
+    ids.splice(from, 1);
+    ids.splice(to, 0, id);
+    const game = state.games.find(g => g.id === id);
+    setQueue(ids, `Move ${game.title} in Up Next`);
+    refs.queueStatus.textContent = `${game.title} moved to position ${to + 1} of ${ids.length}`;
+  }
+
+  function renderQueue() {
+    const games = queuedGames();
+    refs.queueList.innerHTML = '';
+    if (!games.length) {
+      const empty = document.createElement('li');
+      empty.className = 'queue-empty muted';
+      empty.textContent = 'Nothing queued yet. Add games from a card’s quick actions or their details page.';
+      refs.queueList.appendChild(empty);
+      return;
+    }
+    games.forEach((g, index) => {
+      const row = refs.queueRowTemplate.content.cloneNode(true);
+      const el = row.querySelector('.queue-row');
+      el.dataset.id = g.id;
+      el.setAttribute('aria-label', `${index + 1}. ${g.title}`);
+      el.querySelector('.queue-pos').textContent = String(index + 1);
+      const title = el.querySelector('.queue-title');
+      title.href = `#/game/${g.id}`;
+      title.textContent = g.title;
+      el.querySelector('.queue-meta').textContent = [platformLabel(g.platform, { short: true }), g.status, g.playtime].join(' • ');
+      const upBtn = el.querySelector('.move-up');
+      const downBtn = el.querySelector('.move-down');
+      upBtn.disabled = index === 0;
+      downBtn.disabled = index === games.length - 1;
+      // The rows are rebuilt; keep focus on the same button, or on the row once it hits an end
+      const refocus = (selector) => {
+        const moved = $(`.queue-row[data-id="${g.id}"]`, refs.queueList);
+        ($(`${selector}:not(:disabled)`, moved) || moved)?.focus();
+      };
+      upBtn.addEventListener('click', () => { moveQueued(g.id, index - 1); refocus('.move-up'); });
+      downBtn.addEventListener('click', () => { moveQueued(g.id, index + 1); refocus('.move-down'); });
+      el.querySelector('.remove-queued').addEventListener('click', () => toggleQueued(g.id));
+      refs.queueList.appendChild(row);
+    });
+  }
+
+  // Insertion index (0..rows) for a drop at clientY: before the first row whose middle is below it
+  function queueDropIndex(y) {
+    const rows = $$('.queue-row', refs.queueList);
+    const i = rows.findIndex(row => {
+      const rect = row.getBoundingClientRect();
+      return y < rect.top + rect.height / 2;
+    });
+    return i < 0 ? rows.length : i;
+  }
+
+  function markQueueDrop(index) {
+    const rows = $$('.queue-row', refs.queueList);
+    rows.forEach((row, i) => {
+      row.classList.toggle('drop-before', i === index);
+      row.classList.toggle('drop-after', index === rows.length && i === rows.length - 1);
+    });
+  }
+
+  function attachQueueEvents() {
+    refs.queueBtn.addEventListener('click', () => go('/queue'));
+    // Keyboard reordering: Alt+Up/Down on a focused row
+    refs.queueList.addEventListener('keydown', (e) => {
+      const row = e.target.closest('.queue-row');
+      if (!row || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      const id = row.dataset.id;
+      moveQueued(id, queueRank(id) - 1 + (e.key === 'ArrowUp' ? -1 : 1));
+      $(`.queue-row[data-id="${id}"]`, refs.queueList)?.focus();
+    });
+    refs.queueList.addEventListener('dragstart', (e) => {
+      const row = e.target.closest('.queue-row');
+      if (!row) return;
+      queueDrag.id = row.dataset.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', row.dataset.id);
+      row.classList.add('dragging');
+    });
+    refs.queueList.addEventListener('dragover', (e) => {
+      if (!queueDrag.id) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      markQueueDrop(queueDropIndex(e.clientY));
+    });
+    refs.queueList.addEventListener('drop', (e) => {
+      if (!queueDrag.id) return;
+      e.preventDefault();
+      const id = queueDrag.id;
+      const to = queueDropIndex(e.clientY);
+      const from = queueRank(id) - 1;
+      moveQueued(id, to > from ? to - 1 : to);
+      $(`.queue-row[data-id="${id}"]`, refs.queueList)?.focus();
+    });
+    refs.queueList.addEventListener('dragend', () => {
+      queueDrag.id = null;
+      $$('.queue-row', refs.queueList).forEach(row => row.classList.remove('dragging', 'drop-before', 'drop-after'));
+    });
+    $$('.backBtn', refs.viewQueue).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // ========== PICKER ==========
+  // "What should I play next?" (#/pick). Candidates are the unfinished games of the current
+  // list, so filters and search narrow them down. A score is the sum of the factors from
+  // pickFactors and every factor is shown with its points, so each pick explains itself.
+
+  const PICK_SHOWN = 5;
+  // Each click moves a tag chip along off -> like -> avoid -> off
+  const PICK_TAG_CYCLE = ['', 'like', 'avoid'];
+  const PICK_TAG_LISTS = { like: 'pickTagsLiked', avoid: 'pickTagsAvoided' };
+
+  const picker = { spunId: null };
+
+  function pickCandidates() {
+    return getFilteredGames().filter(g => !isFinished(g));
+  }
+
+  // "3 days", "5 weeks", "8 months", "2 years"
+  function fmtAge(days) {
+    const unit = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    if (days < 14) return unit(days, 'day');
+    if (days < 60) return unit(Math.round(days / 7), 'week');
+    if (days < 730) return unit(Math.round(days / 30), 'month');
+    return unit(Math.round(days / 365), 'year');
+  }
+
+  // [{ points, text }] for one game; ctx holds the time at hand, tag preferences and queue places
+  function pickFactors(g, ctx) {
+    const factors = [];
+    const add = (points, text) => {
+      points = Math.round(points);
+      if (points) factors.push({ points, text });
+    };
+    // Each status scores its own `pickPoints` (set on #/statuses)
+    const status = state.statuses.find(st => st.name === g.status);
+    if (status?.pickPoints) add(status.pickPoints, status.playing ? `Already ${status.name.toLowerCase()}` : `Status: ${status.name}`);
+
+    // What is left of the playtime estimate against the time at hand
+    const estimate = estimatedHours(g);
+    if (ctx.hours && estimate) {
+      const left = Math.max(0, estimate - minutesPlayed(g) / 60);
+      if (left <= ctx.hours) add(20, `Fits in your ${fmtHours(ctx.hours)} (about ${fmtHours(left)} left)`);
+      else add(-Math.min(20, 10 * (left / ctx.hours - 1)), `About ${fmtHours(left)} left, more than your ${fmtHours(ctx.hours)}`);
+    }
+
+    if (g.favorite) add(15, 'A favorite');
+
+    const rank = ctx.queue.get(g.id);
+    if (rank) add(Math.max(8, 24 - 4 * (rank - 1)), `#${rank} in your Up Next queue`);
+
+    // Long waits earn up to 10 points each: a year on the backlog, or half a year untouched
+    const days = at => Math.max(0, Math.floor((now() - at) / DAY_MS));
+    const waiting = days(g.dateAdded);
+    const idle = days(g.dateUpdated);
+    add(Math.min(10, waiting / 36.5), `On the backlog for ${fmtAge(waiting)}`);
+    if (idle >= 7 && idle < waiting) add(Math.min(10, idle / 18), `Untouched for ${fmtAge(idle)}`);
+
+    const tagMap = ctx.tagMap;
+    (g.tagIds || []).forEach(id => {
+      const tag = tagMap.get(id);
+      if (!tag) return;
+      if (ctx.liked.has(id)) add(12, `Tagged ${tag.name}, which you prefer`);
+      else if (ctx.avoided.has(id)) add(-25, `Tagged ${tag.name}, which you avoid`);
+    });
+    return factors;
+  }
+
+  function rankPicks() {
+    const p = state.prefs;
+    const ctx = {
+      hours: Number(p.pickHours) || 0,
+      liked: new Set(p.pickTagsLiked),
+      avoided: new Set(p.pickTagsAvoided),
+      queue: new Map(queuedGames().map((g, i) => [g.id, i + 1])),
+      tagMap: getTagMap()
+    };
+    return pickCandidates()
+      .map(g => {
+        const factors = pickFactors(g, ctx);
+        return { g, factors, score: factors.reduce((sum, f) => sum + f.points, 0) };
+      })
+      .sort((a, b) => b.score - a.score || a.g.title.localeCompare(b.g.title));
+  }
+
+  function renderPicker() {
+    refs.pickHours.value = state.prefs.pickHours ? String(state.prefs.pickHours) : '';
+    renderPickTagChips();
+    const ranked = rankPicks();
+    const total = state.games.filter(g => !isFinished(g)).length;
+    refs.pickSummary.textContent = !ranked.length
+      ? (total ? 'No unfinished games match the current filters and search.' : 'Every game in your library is finished. Time to add more!')
+      : `Ranked ${gamesLabel(ranked.length)}${ranked.length < total ? ` of ${total} unfinished (filters and search apply)` : ' that are not finished yet'}.`;
+    refs.pickSpinBtn.disabled = !ranked.length;
+
+    const spun = ranked.find(r => r.g.id === picker.spunId);
+    refs.pickSpin.hidden = !spun;
+    fillPickList(refs.pickSpinList, spun ? [spun] : []);
+    fillPickList(refs.pickList, ranked.slice(0, PICK_SHOWN));
+  }
+
+  function fillPickList(list, picks) {
+    list.innerHTML = '';
+    const playing = playingStatus();
+    picks.forEach(({ g, factors, score }) => {
+      const frag = refs.pickCardTemplate.content.cloneNode(true);
+      const card = frag.querySelector('.pick-card');
+      card.dataset.id = g.id;
+      const href = `#/game/${g.id}`;
+      const cover = card.querySelector('.pick-cover');
+      cover.href = href;
+      cover.setAttribute('aria-label', g.title);
+      const img = cover.querySelector('img');
+      setImage(img, coverUrl(g));
+      img.onerror = () => setImage(img, PLACEHOLDER_COVER(g.title));
+      const title = card.querySelector('.pick-title');
+      title.href = href;
+      title.textContent = g.title;
+      card.querySelector('.pick-score').textContent = `Score ${score}`;
+      card.querySelector('.pick-meta').textContent = [platformLabel(g.platform, { short: true }), g.status, g.playtime].join(' • ');
+      const reasons = card.querySelector('.pick-reasons');
+      factors.slice().sort((a, b) => b.points - a.points).forEach(f => {
+        const li = document.createElement('li');
+        li.classList.toggle('negative', f.points < 0);
+        const points = document.createElement('span');
+        points.className = 'pick-points';
+        points.textContent = f.points > 0 ? `+${f.points}` : `−${-f.points}`;
+        li.append(points, f.text);
+        reasons.appendChild(li);
+      });
+      const start = card.querySelector('.start-playing');
+      start.hidden = !playing || g.status === playing;
+      start.addEventListener('click', () => startPlaying(g.id));
+      list.appendChild(frag);
+    });
+  }
+
+  function renderPickTagChips() {
+    const container = refs.pickTags;
+    container.innerHTML = '';
+    if (!state.tags.length) {
+      container.textContent = 'No tags yet.';
+      return;
+    }
+    state.tags.forEach(tag => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'chip button tag';
+      chip.style.borderColor = tag.color;
+      chip.style.backgroundColor = lightenColor(tag.color, 0.9);
+      const mode = document.createElement('span'); mode.className = 'mode';
+      const e = document.createElement('span'); e.className = 'emoji'; e.textContent = tag.emoji || '🏷️';
+      const n = document.createElement('span'); n.className = 'name'; n.textContent = tag.name;
+      chip.append(mode, e, n);
+      paintPickTagChip(chip, tag, pickTagMode(tag.id));
+      chip.addEventListener('click', () => {
+        const next = PICK_TAG_CYCLE[(PICK_TAG_CYCLE.indexOf(pickTagMode(tag.id)) + 1) % PICK_TAG_CYCLE.length];
+        Object.values(PICK_TAG_LISTS).forEach(key => { state.prefs[key] = state.prefs[key].filter(id => id !== tag.id); });
+        if (next) state.prefs[PICK_TAG_LISTS[next]].push(tag.id);
+        savePrefs();
+        renderPicker();
+        $(`.chip[data-id="${tag.id}"]`, refs.pickTags)?.focus();
+      });
+      chip.dataset.id = tag.id;
+      container.appendChild(chip);
+    });
+  }
+
+  function pickTagMode(id) {
+    return PICK_TAG_CYCLE.find(m => m && state.prefs[PICK_TAG_LISTS[m]].includes(id)) || '';
+  }
+
+  function paintPickTagChip(chip, tag, mode) {
+    chip.dataset.mode = mode;
+    chip.classList.toggle('active', !!mode);
+    chip.querySelector('.mode').textContent = { like: '♥', avoid: '✕' }[mode] || '';
+    chip.title = `${tag.name}: ${{ like: 'preferred (click to avoid)', avoid: 'avoided (click to clear)' }[mode] || 'no preference (click to prefer)'}`;
+    chip.setAttribute('aria-label', chip.title);
+  }
+
+  // Weighted by score (lifted so the lowest candidate still has a chance)
+  function spinPick() {
+    const ranked = rankPicks();
+    if (!ranked.length) return;
+    const low = Math.min(...ranked.map(r => r.score));
+    const weights = ranked.map(r => r.score - low + 5);
+    let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+    const hit = ranked.find((r, i) => (roll -= weights[i]) < 0) || ranked[ranked.length - 1];
+    picker.spunId = hit.g.id;
+    renderPicker();
+  }
+
+  function startPlaying(id) {
+    const playing = playingStatus();
+    if (!playing) return;
+    toastUndo(`Status: ${playing}`, updateGame(id, { status: playing }));
+    if (state.currentRoute?.path === '/pick') renderPicker();
+  }
+
+  function attachPickerEvents() {
+    refs.pickBtn.addEventListener('click', () => go('/pick'));
+    refs.pickHours.addEventListener('change', () => {
+      state.prefs.pickHours = clamp(Math.round(Number(refs.pickHours.value) || 0), 0, 1000);
+      savePrefs();
+      renderPicker();
+    });
+    refs.pickSpinBtn.addEventListener('click', spinPick);
+    $$('.backBtn', refs.viewPick).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // ========== SAVED VIEWS ==========
+  // A view stores the list state from prefs; applying one copies it back. Pinned views
+  // show on the toolbar with a live count of the games they match.
+  function currentViewState() {
+    const { filters, sortField, sortDir, view, search } = state.prefs;
+    return { filters: JSON.parse(JSON.stringify(filters)), sortField, sortDir, view, search };
+  }
+
+  function isCurrentView(v) {
+    const { filters, sortField, sortDir, view, search } = v;
+    return JSON.stringify({ filters, sortField, sortDir, view, search }) === JSON.stringify(currentViewState());
+  }
+
+  function countViewGames(v) {
+    return filterGames(v.filters, compileSearch(v.search.trim())).length;
+  }
+
+  function applySavedView(v) {
+    applyListState(v);
+    if (state.currentRoute.path === '/games') renderGames();
+    else go('/games');
+  }
+
+  // Puts a list state (a saved view, a link, or the user's own defaults) into prefs and
+  // the toolbar controls; the caller renders
+  function applyListState(s) {
+    Object.assign(state.prefs, JSON.parse(JSON.stringify({
+      filters: s.filters, sortField: s.sortField, sortDir: s.sortDir, search: s.search
+    })), { sortBeforeSearch: s.sortBeforeSearch || '' });
+    refs.globalSearch.value = s.search;
+    refs.sortField.value = s.sortField;
+    refs.sortDirBtn.dataset.dir = s.sortDir;
+    syncSortDirBtnIcon();
+    syncRelevanceSort();
+    setViewMode(s.view); // saves prefs
+    buildFiltersUIFromPrefs();
+  }
+
+  function renderPinnedViews() {
+    refs.pinnedViews.innerHTML = '';
+    state.views.filter(v => v.pinned).forEach(v => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chip button view-chip';
+      btn.classList.toggle('active', isCurrentView(v));
+      btn.setAttribute('aria-pressed', String(isCurrentView(v)));
+      const count = countViewGames(v);
+      btn.title = `${v.name}: ${count} game${count === 1 ? '' : 's'}`;
+      const emoji = document.createElement('span'); emoji.className = 'emoji'; emoji.textContent = v.emoji || '🔖';
+      const name = document.createElement('span'); name.textContent = v.name;
+      const badge = document.createElement('span'); badge.className = 'count'; badge.textContent = String(count);
+      btn.append(emoji, name, badge);
+      btn.addEventListener('click', () => applySavedView(v));
+      refs.pinnedViews.appendChild(btn);
+    });
+    refs.pinnedViews.hidden = !refs.pinnedViews.children.length;
+  }
+
+  function renderViewsManager() {
+    refs.viewsList.innerHTML = '';
+    if (!state.views.length) {
+      const empty = document.createElement('p');
+      empty.className = 'muted';
+      empty.textContent = 'No saved views yet. Set up filters, sort and search on the games list, then save them here.';
+      refs.viewsList.appendChild(empty);
+    }
+    state.views.forEach((v, index) => {
+      const row = refs.viewRowTemplate.content.cloneNode(true);
+      const el = row.querySelector('.view-row');
+      el.dataset.id = v.id;
+      const upBtn = el.querySelector('.move-up');
+      const downBtn = el.querySelector('.move-down');
+      const emoji = el.querySelector('.view-emoji');
+      const name = el.querySelector('.view-name');
+      const pinned = el.querySelector('.view-pinned');
+      const count = countViewGames(v);
+
+      emoji.value = v.emoji;
+      name.value = v.name;
+      pinned.checked = v.pinned;
+      el.querySelector('.view-count').textContent = `${count} game${count === 1 ? '' : 's'}`;
+      el.querySelector('.view-summary').textContent = describeView(v);
+      upBtn.disabled = index === 0;
+      downBtn.disabled = index === state.views.length - 1;
+
+      upBtn.addEventListener('click', () => moveView(v.id, -1));
+      downBtn.addEventListener('click', () => moveView(v.id, 1));
+      pinned.addEventListener('change', () => {
+        updateView({ ...v, pinned: pinned.checked });
+        toast(pinned.checked ? `Pinned “${v.name}”` : `Unpinned “${v.name}”`);
+      });
+      el.querySelector('.apply-view').addEventListener('click', () => applySavedView(v));
+      el.querySelector('.update-view').addEventListener('click', () => {
+        confirmDialog(`Replace “${v.name}” with the current filters, sort and search?`).then(yes => {
+          if (!yes) return;
+          updateView({ ...v, ...currentViewState() });
+          toast('View updated');
+          renderViewsManager();
+        });
+      });
+      el.querySelector('.save-view').addEventListener('click', () => {
+        const newName = name.value.trim();
+        if (!newName) {
+          toast('View name is required');
+          name.focus();
+          return;
+        }
+        updateView({ ...v, name: newName, emoji: emoji.value.trim() });
+        toast('View saved');
+        renderViewsManager();
+      });
+      el.querySelector('.delete-view').addEventListener('click', () => {
+        confirmDialog(`Delete view “${v.name}”?`, { danger: true }).then(yes => {
+          if (!yes) return;
+          state.views = state.views.filter(x => x.id !== v.id);
+          Storage.setViews(state.views);
+          renderPinnedViews();
+          toast('View deleted');
+          renderViewsManager();
+        });
+      });
+      refs.viewsList.appendChild(row);
+    });
+  }
+
+  // Short text for a view's contents, e.g. "Status: Paused • Tags: 1 • Sort: Title ↑"
+  function describeView(v) {
+    const f = v.filters;
+    const parts = [];
+    if (f.platforms.length) parts.push(`Platform: ${f.platforms.join(', ')}`);
+    if (f.statuses.length) parts.push(`Status: ${f.statuses.join(', ')}`);
+    if (f.playtimes.length) parts.push(`Playtime: ${f.playtimes.length}`);
+    const tagText = describeTagFilter(f);
+    if (tagText) parts.push(`Tags: ${tagText}`);
+    if (f.favoritesOnly) parts.push('Favorites');
+    if (f.rangeField && (f.rangeMin || f.rangeMax)) parts.push(RANGE_LABELS[f.rangeField]);
+    if (v.search) parts.push(`Search: “${v.search}”`);
+    const sortLabel = refs.sortField.querySelector(`option[value="${v.sortField}"]`)?.textContent || v.sortField;
+    parts.push(`Sort: ${sortLabel} ${v.sortDir === 'desc' ? '↓' : '↑'}`);
+    return parts.join(' • ');
+  }
+
+  function updateView(updated) {
+    const idx = state.views.findIndex(v => v.id === updated.id);
+    if (idx === -1) return;
+    state.views[idx] = sanitizeView(updated);
+    Storage.setViews(state.views);
+    renderPinnedViews();
+  }
+
+  function moveView(id, delta) {
+    const idx = state.views.findIndex(v => v.id === id);
+    const to = idx + delta;
+    if (idx === -1 || to < 0 || to >= state.views.length) return;
+    const list = state.views.slice();
+    [list[idx], list[to]] = [list[to], list[idx]];
+    state.views = list.map((v, i) => ({ ...v, order: i }));
+    Storage.setViews(state.views);
+    renderPinnedViews();
+    renderViewsManager();
+    $(`.view-row[data-id="${id}"] .${delta < 0 ? 'move-up' : 'move-down'}`, refs.viewsList)?.focus();
+  }
+
+  function attachViewsEvents() {
+    refs.viewsBtn.addEventListener('click', () => go('/views'));
+    refs.saveViewForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = refs.saveViewName.value.trim();
+      if (!name) {
+        toast('Give the view a name');
+        refs.saveViewName.focus();
+        return;
+      }
+      if (state.views.some(v => v.name === name)) {
+        toast(`“${name}” already exists. Use its “Update” button to overwrite it.`);
+        refs.saveViewName.focus();
+        return;
+      }
+      const order = state.views.reduce((max, v) => Math.max(max, v.order), -1) + 1;
+      const view = sanitizeView({
+        name,
+        emoji: refs.saveViewEmoji.value,
+        pinned: refs.saveViewPin.checked,
+        order,
+        ...currentViewState()
+      });
+      state.views = [...state.views, view];
+      Storage.setViews(state.views);
+      refs.saveViewForm.reset();
+      renderPinnedViews();
+      renderViewsManager();
+      toast(`Saved view “${name}”`);
+    });
+
+    $$('.backBtn', refs.viewViews).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // ========== TRASH ==========
+  // Deleted games and tags wait here until restored, purged by hand, or purged automatically
+  // `prefs.trashDays` after deletion. Purging is the only hard delete.
+  function setGameRecords(list) {
+    state.games = list.filter(g => !g.deletedAt);
+    state.trash.games = list.filter(g => g.deletedAt);
+  }
+
+  function setTagRecords(list) {
+    const sorted = sortByOrder(list);
+    state.tags = sorted.filter(t => !t.deletedAt);
+    state.trash.tags = sorted.filter(t => t.deletedAt);
+  }
+
+  // New tags go after every existing one, trashed tags included
+  function nextTagOrder(tags = [...state.tags, ...state.trash.tags]) {
+    return tags.reduce((max, t) => Math.max(max, t.order ?? 0), -1) + 1;
+  }
+
+  // Runs at startup; not recorded for undo
+  function purgeExpiredTrash() {
+    const days = Number(state.prefs.trashDays) || 0;
+    if (!days) return;
+    const cutoff = now() - days * DAY_MS;
+    const expired = list => list.filter(r => r.deletedAt < cutoff).map(r => r.id);
+    const games = expired(state.trash.games);
+    const tags = expired(state.trash.tags);
+    if (games.length) {
+      state.trash.games = state.trash.games.filter(g => !games.includes(g.id));
+      Storage.deleteGames(games);
+    }
+    if (tags.length) {
+      state.trash.tags = state.trash.tags.filter(t => !tags.includes(t.id));
+      Storage.deleteTags(tags);
+    }
+  }
+
+  function restoreGame(id) {
+    const trashed = state.trash.games.find(g => g.id === id);
+    if (!trashed) return;
+    const { deletedAt, ...game } = trashed;
+    setGameRecords([...state.games, game, ...state.trash.games.filter(g => g.id !== id)]);
+    Storage.putGame(game);
+    const entry = recordChange(`Restore ${game.title}`, { games: [[trashed, game]] });
+    ensureGameLists();
+    renderGames();
+    renderTrash();
+    toastUndo(`Restored “${game.title}”`, entry);
+  }
+
+  // Puts the tag back on the games it was taken off, as long as they still exist
+  function restoreTag(id) {
+    const trashed = state.trash.tags.find(t => t.id === id);
+    if (!trashed) return;
+    const { deletedAt, gameIds = [], ...tag } = trashed;
+    const touched = [];
+    const attach = g => {
+      if (!gameIds.includes(g.id) || g.tagIds.includes(id)) return g;
+      const next = { ...g, tagIds: [...g.tagIds, id], dateUpdated: now() };
+      touched.push([g, next]);
+      return next;
+    };
+    setGameRecords([...state.games, ...state.trash.games].map(attach));
+    setTagRecords([...state.tags, tag, ...state.trash.tags.filter(t => t.id !== id)]);
+    Storage.putTag(tag);
+    if (touched.length) Storage.putGames(touched.map(([, next]) => next));
+    const entry = recordChange(`Restore tag ${tag.name}`, { tags: [[trashed, tag]], games: touched });
+    renderFormTagOptions();
+    renderFilterTagChips();
+    renderGames();
+    renderTrash();
+    const count = touched.filter(([g]) => !g.deletedAt).length;
+    toastUndo(`Restored tag “${tag.name}”${count ? ` on ${gamesLabel(count)}` : ''}`, entry);
+  }
+
+  // Returns the undo entry, or null when there was nothing to purge
+  function purgeTrash(games, tags, label) {
+    if (!games.length && !tags.length) return null;
+    const dropGames = new Set(games.map(g => g.id));
+    const dropTags = new Set(tags.map(t => t.id));
+    state.trash.games = state.trash.games.filter(g => !dropGames.has(g.id));
+    state.trash.tags = state.trash.tags.filter(t => !dropTags.has(t.id));
+    if (games.length) Storage.deleteGames(Array.from(dropGames));
+    if (tags.length) Storage.deleteTags(Array.from(dropTags));
+    const entry = recordChange(label, { games: games.map(g => [g, null]), tags: tags.map(t => [t, null]) });
+    renderTrash();
+    updateStorageInfo();
+    return entry;
+  }
+
+  function trashCount() {
+    return state.trash.games.length + state.trash.tags.length;
+  }
+
+  function renderTrash() {
+    refs.trashDays.value = String(state.prefs.trashDays ?? DEFAULT_PREFS.trashDays);
+    refs.emptyTrashBtn.disabled = !trashCount();
+    const days = Number(state.prefs.trashDays) || 0;
+    const byNewest = list => list.slice().sort((a, b) => b.deletedAt - a.deletedAt);
+    const fill = (container, items, describe, restore, noun) => {
+      container.innerHTML = '';
+      if (!items.length) {
+        const empty = document.createElement('p');
+        empty.className = 'muted';
+        empty.textContent = `No ${noun} in the trash.`;
+        container.appendChild(empty);
+        return;
+      }
+      items.forEach(item => {
+        const row = refs.trashRowTemplate.content.cloneNode(true);
+        const el = row.querySelector('.trash-row');
+        el.dataset.id = item.id;
+        const [icon, name, extra] = describe(item);
+        el.querySelector('.trash-icon').textContent = icon;
+        el.querySelector('.trash-name').textContent = name;
+        const left = days ? Math.max(0, Math.ceil((item.deletedAt + days * DAY_MS - now()) / DAY_MS)) : null;
+        el.querySelector('.trash-meta').textContent = [
+          `Deleted ${fmtDate(item.deletedAt)}`,
+          left == null ? '' : `purged in ${left} day${left === 1 ? '' : 's'}`,
+          extra
+        ].filter(Boolean).join(' • ');
+        el.querySelector('.restore-item').addEventListener('click', () => restore(item.id));
+        el.querySelector('.purge-item').addEventListener('click', () => {
+          confirmDialog(`Permanently delete “${name}”?`, { danger: true }).then(yes => {
+            if (!yes) return;
+            toastUndo('Deleted permanently', purgeTrash(noun === 'games' ? [item] : [], noun === 'tags' ? [item] : [], `Purge ${name}`));
+          });
+        });
+        container.appendChild(row);
+      });
+    };
+    fill(refs.trashGamesList, byNewest(state.trash.games),
+      g => ['🎮', g.title, `${platformLabel(g.platform, { short: true })} • ${g.status}`], restoreGame, 'games');
+    fill(refs.trashTagsList, byNewest(state.trash.tags),
+      t => [t.emoji || '🏷️', t.name, t.gameIds?.length ? `was on ${gamesLabel(t.gameIds.length)}` : ''], restoreTag, 'tags');
+  }
+
+  function attachTrashEvents() {
+    refs.openTrashBtn.addEventListener('click', () => go('/trash'));
+    refs.trashDays.addEventListener('change', () => {
+      state.prefs.trashDays = clamp(Math.round(Number(refs.trashDays.value) || 0), 0, 3650);
+      savePrefs();
+      renderTrash();
+    });
+    refs.emptyTrashBtn.addEventListener('click', () => {
+      const count = trashCount();
+      if (!count) return;
+      confirmDialog(`Permanently delete ${count} item${count === 1 ? '' : 's'} in the trash?`, { danger: true }).then(yes => {
+        if (!yes) return;
+        toastUndo('Trash emptied', purgeTrash(state.trash.games.slice(), state.trash.tags.slice(), 'Empty trash'));
+      });
+    });
+    $$('.backBtn', refs.viewTrash).forEach(btn => {
+      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    });
+  }
+
+  // ========== SETTINGS ==========
+  function renderSettings() {
+    refs.themeSelect.value = state.prefs.theme;
+    refs.fuzzySearchToggle.checked = !!state.prefs.fuzzySearch;
+    refs.cacheCoversToggle.checked = !!state.prefs.cacheCovers;
+    refs.exportImages.value = state.prefs.exportImages;
+    updateCoverInfo();
+    refs.openTrashBtn.lastChild.textContent = trashCount() ? ` Trash (${trashCount()})` : ' Trash';
+    updateStorageInfo();
+  }
+
+  function attachSettingsEvents() {
+    refs.themeSelect.addEventListener('change', () => {
+      state.prefs.theme = refs.themeSelect.value;
+      savePrefs();
+      applyTheme(state.prefs.theme);
+      toast(`Theme: ${state.prefs.theme}`);
+    });
+
+    refs.fuzzySearchToggle.addEventListener('change', () => {
+      state.prefs.fuzzySearch = refs.fuzzySearchToggle.checked;
+      savePrefs();
+      renderGames();
+    });
+
+    refs.cacheCoversToggle.addEventListener('change', () => {
+      state.prefs.cacheCovers = refs.cacheCoversToggle.checked;
+      savePrefs();
+      if (state.prefs.cacheCovers) {
+        toast('Saving linked covers for offline use…');
+        cacheRemoteCovers({ quiet: false });
+      } else {
+        dropCachedCovers();
+        toast('Offline cover copies removed');
+      }
+    });
+
+    refs.exportImages.addEventListener('change', () => {
+      state.prefs.exportImages = refs.exportImages.value;
+      savePrefs();
+    });
+    refs.exportBtn.addEventListener('click', exportBackup);
+
+    refs.managePlatformsBtn.addEventListener('click', () => go('/platforms'));
+    refs.manageStatusesBtn.addEventListener('click', () => go('/statuses'));
+
+    refs.exportCsvBtn.addEventListener('click', () => exportCsv(refs.exportCsvFilteredOnly.checked));
+    refs.importCsvBtn.addEventListener('click', () => refs.importCsvFile.click());
+    refs.importCsvFile.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      refs.importCsvFile.value = '';
+      await startCsvImport(file);
+    });
+
+    LIBRARY_IMPORTERS.forEach(imp => {
+      const opt = document.createElement('option');
+      opt.value = imp.id; opt.textContent = imp.label;
+      refs.libraryImportSource.appendChild(opt);
+    });
+    refs.libraryImportBtn.addEventListener('click', () => refs.libraryImportFile.click());
+    refs.libraryImportFile.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      refs.libraryImportFile.value = '';
+      await startLibraryImport(file, refs.libraryImportSource.value);
+    });
+
+    refs.importBtn.addEventListener('click', () => refs.importFile.click());
+    refs.importFile.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      refs.importFile.value = '';
+      await startImport(file);
+    });
+
+    refs.loadSamplesBtn.addEventListener('click', () => {
+      confirmDialog('Load sample data? This adds examples without removing your current data.').then(ok => {
+        if (!ok) return;
+        loadSampleData(false);
+        toast('Sample data loaded');
+        renderGames();
+        updateStorageInfo();
+      });
+    });
+
+    refs.resetDataBtn.addEventListener('click', () => {
+      confirmDialog('Reset ALL data? You can still undo this afterwards.', { danger: true }).then(async ok => {
+        if (!ok) return;
+        const before = snapshotData();
+        await Storage.reset();
+        // Fresh state
+        state.games = [];
+        state.tags = [];
+        state.trash = { games: [], tags: [] };
+        state.platforms = [];
+        state.prefs = { ...DEFAULT_PREFS };
+        state.linkedDefaults = null;
+        savePrefs();
+        state.statuses = [];
+        state.playtimes = [];
+        state.views = [];
+        ensureGameLists();
+        renderListOptions();
+        applyTheme(state.prefs.theme);
+        buildFiltersUIFromPrefs();
+        renderGames();
+        toastUndo('All data reset', recordData('Reset all data', before));
+        go('/games');
+        updateStorageInfo();
+      });
+    });
+  }
+
+  function updateCoverInfo() {
+    const cached = Array.from(state.covers.values()).filter(c => c.url).length;
+    refs.coverInfo.textContent = `${state.covers.size - cached} uploaded image(s) • ${cached} linked cover(s) saved for offline use`;
+  }
+
+  // JSON backup, optionally with cover images embedded as data URLs (prefs.exportImages
+  // 'embed'), or a zip holding backup.json plus the image files ('zip')
+  async function exportBackup() {
+    const mode = state.prefs.exportImages;
+    const base = `backlog-atlas-${new Date().toISOString().slice(0, 10)}`;
+    try {
+      if (mode !== 'zip') {
+        const data = await Storage.exportData({ images: mode });
+        downloadFile(`${base}.json`, data, 'application/json');
+        return;
+      }
+      const json = await Storage.exportData({ images: 'files' });
+      const files = [{ name: 'backup.json', data: new TextEncoder().encode(json) }];
+      for (const cover of await Storage.getCovers()) {
+        const blob = cover.blob || dataUrlToBlob(cover.data);
+        files.push({ name: coverFileName(cover), data: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      downloadFile(`${base}.zip`, writeZip(files), 'application/zip');
+    } catch (err) {
+      console.error(err);
+      toast('Export failed');
+    }
+  }
+
+  async function readBackupZip(file) {
+    const entries = await readZip(await file.arrayBuffer());
+    const json = entries.get('backup.json');
+    if (!json) throw new Error('backup.json missing from zip');
+    const files = new Map();
+    entries.forEach((bytes, name) => {
+      if (name !== 'backup.json') files.set(name, new Blob([bytes], { type: imageTypeFor(name) }));
+    });
+    return { text: new TextDecoder().decode(json), files };
+  }
+
+  async function updateStorageInfo() {
+    const kind = Storage.backend?.kind === 'indexedDB' ? 'IndexedDB' : 'localStorage';
+    let bytes;
+    if (kind === 'IndexedDB' && navigator.storage?.estimate) {
+      try { bytes = (await navigator.storage.estimate()).usage; } catch { bytes = undefined; }
+    }
+    if (!Number.isFinite(bytes) && kind === 'IndexedDB') {
+      bytes = JSON.stringify(state.games).length + JSON.stringify(state.tags).length;
+    } else if (!Number.isFinite(bytes)) {
+      bytes = Object.keys(localStorage)
+        .filter(k => k.startsWith('ba.'))
+        .reduce((sum, k) => sum + (localStorage.getItem(k) || '').length, 0);
+    }
+    const kb = (bytes / 1024).toFixed(1);
+    refs.storageInfo.textContent = `Storage (${kind}): approx. ${kb} KB used • ${state.games.length} games • ${state.tags.length} tags`;
+  }
+
+  // ========== IMPORT REVIEW ==========
+  // Imports are parsed first and reviewed on #/import before anything is written.
+  // Replace mode swaps all data; merge mode combines the backup with the current collection.
+  const MERGE_GAME_FIELDS = ['title', 'platform', 'releaseDate', 'status', 'playtime', 'tagIds', 'notes', 'favorite', 'imageUrl', 'coverId', 'sessions'];
+  const MERGE_TAG_FIELDS = ['name', 'color', 'emoji'];
+  const MERGE_KIND_LABELS = { added: 'Added', updated: 'Updated', conflict: 'Conflicting' };
+
+  async function startImport(file) {
+    try {
+      const zipped = /\.zip$/i.test(file.name || '') || file.type === 'application/zip';
+      const { text, files } = zipped ? await readBackupZip(file) : { text: await file.text(), files: null };
+      const { data, issues, report } = Storage.parseImport(text, files);
+      state.importDraft = {
+        fileName: file.name || 'Backup',
+        data,
+        issues,
+        report,
+        mode: 'replace',
+        strategy: 'newest',
+        plan: null
+      };
+      go('/import');
+    } catch (err) {
+      console.error(err);
+      toast(`Import failed: ${err.message || 'invalid file'}`);
+    }
+  }
+
+  function renderImportReview() {
+    const draft = state.importDraft;
+    if (!draft) { go('/settings'); return; }
+    refs.importFileName.textContent = draft.sourceLabel ? `${draft.fileName} — ${draft.sourceLabel}` : draft.fileName;
+    $$('input[name="importMode"]', refs.viewImport).forEach(r => { r.checked = r.value === draft.mode; });
+    refs.mergeStrategy.value = draft.strategy;
+
+    const { games, tags } = draft.data;
+    const parts = [`${games.length} games`, `${tags.length} tags`];
+    if (draft.issues.length) parts.push(summarizeIssues(draft.issues));
+    refs.importSummary.textContent = parts.join(' • ');
+    refs.csvMappingSection.hidden = draft.source !== 'csv';
+    if (draft.source === 'csv') renderCsvMapping(draft);
+    renderImportReport(draft.report);
+
+    refs.mergeSection.hidden = draft.mode !== 'merge';
+    if (draft.mode === 'merge') {
+      if (!draft.plan) draft.plan = buildMergePlan(state.games, state.tags, draft.data, draft.strategy, draft.mergeFields);
+      renderMergePreview(draft.plan);
+    }
+  }
+
+  const REPORT_KIND_LABELS = { dropped: 'Dropped', coerced: 'Coerced', unknown: 'Unknown value kept', warning: 'Warning' };
+  const REPORT_MAX_ROWS = 200;
+
+  function renderImportReport(report) {
+    refs.importReportCounts.innerHTML = '';
+    const rows = [['Games', report.games], ['Tags', report.tags], ['Platforms', report.platforms]];
+    if (report.covers?.total) rows.push(['Cover images', report.covers]);
+    rows.forEach(([label, c]) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      tr.appendChild(th);
+      [c.total, c.accepted, c.dropped, c.coerced, c.unknown, c.warnings].forEach(n => {
+        const td = document.createElement('td');
+        td.textContent = String(n);
+        tr.appendChild(td);
+      });
+      refs.importReportCounts.appendChild(tr);
+    });
+
+    const list = refs.importReportIssues;
+    list.innerHTML = '';
+    report.issues.slice(0, REPORT_MAX_ROWS).forEach(issue => {
+      const li = document.createElement('li');
+      li.dataset.kind = issue.kind;
+      const kind = document.createElement('span');
+      kind.className = 'kind';
+      kind.textContent = REPORT_KIND_LABELS[issue.kind] || issue.kind;
+      const text = document.createElement('span');
+      const who = issue.name ? `${issue.entity} “${issue.name}”` : `${issue.entity}${issue.id ? ` ${issue.id}` : ''}`;
+      text.textContent = `${who}${issue.field ? ` · ${issue.field}` : ''}: ${issue.reason}`;
+      li.append(kind, text);
+      list.appendChild(li);
+    });
+    if (report.issues.length > REPORT_MAX_ROWS) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = `…and ${report.issues.length - REPORT_MAX_ROWS} more. Download the report for the full list.`;
+      list.appendChild(li);
+    }
+    if (!report.issues.length) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = 'No problems found.';
+      list.appendChild(li);
+    }
+  }
+
+  function gameKey(g) {
+    return `${String(g.title || '').toLowerCase()}|${g.platform}`;
+  }
+
+  // Pairs incoming records with local ones and classifies each pair. Nothing is applied here.
+  // `gameFields` limits which game fields are compared (and so can be taken from the import).
+  function buildMergePlan(localGames, localTags, incoming, strategy, gameFields = MERGE_GAME_FIELDS) {
+    // Tags first: incoming games reference incoming tag ids that may map onto local ones
+    const tagById = new Map(localTags.map(t => [t.id, t]));
+    const tagByName = new Map(localTags.map(t => [t.name.toLowerCase(), t]));
+    const tagIdMap = new Map();
+    const usedTags = new Set();
+    const tagItems = incoming.tags.map(inc => {
+      let local = tagById.get(inc.id) || tagByName.get(inc.name.toLowerCase()) || null;
+      if (local && usedTags.has(local.id)) local = null;
+      if (local) {
+        usedTags.add(local.id);
+        tagIdMap.set(inc.id, local.id);
+      }
+      return classifyMergeItem('tag', local, inc, MERGE_TAG_FIELDS);
+    });
+
+    const remapTags = ids => Array.from(new Set((ids || []).map(id => tagIdMap.get(id) || id)));
+    const gameById = new Map(localGames.map(g => [g.id, g]));
+    const gameByKey = new Map(localGames.map(g => [gameKey(g), g]));
+    const usedGames = new Set();
+    const gameItems = incoming.games.map(raw => {
+      const inc = { ...raw, tagIds: remapTags(raw.tagIds) };
+      let local = gameById.get(inc.id) || gameByKey.get(gameKey(inc)) || null;
+      if (local && usedGames.has(local.id)) local = null;
+      if (local) usedGames.add(local.id);
+      return classifyMergeItem('game', local, inc, gameFields);
+    });
+
+    const all = [...gameItems, ...tagItems];
+    const plan = {
+      games: gameItems.filter(i => i.kind !== 'unchanged'),
+      tags: tagItems.filter(i => i.kind !== 'unchanged'),
+      unchanged: all.filter(i => i.kind === 'unchanged').length
+    };
+    applyMergeStrategy(plan, strategy);
+    return plan;
+  }
+
+  function classifyMergeItem(entity, local, incoming, fields) {
+    if (!local) return { entity, kind: 'added', local: null, incoming, fields: [], winner: 'incoming', picks: {} };
+    const diff = fields.filter(f => !sameFieldValue(local[f], incoming[f]));
+    if (!diff.length) return { entity, kind: 'unchanged', local, incoming, fields: [], winner: 'local', picks: {} };
+    // Without a common ancestor we can't tell who changed what. An older incoming copy would
+    // overwrite newer local edits, so it is a conflict; a newer one is an update.
+    // Tags carry no timestamps, so any difference is a conflict.
+    const kind = entity === 'game' && (incoming.dateUpdated || 0) > (local.dateUpdated || 0) ? 'updated' : 'conflict';
+    return { entity, kind, local, incoming, fields: diff, winner: 'local', picks: {} };
+  }
+
+  function sameFieldValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+      // Object entries (play sessions) compare by content
+      const key = v => (v && typeof v === 'object' ? JSON.stringify(v) : v);
+      const sa = new Set((a || []).map(key)); const sb = new Set((b || []).map(key));
+      return sa.size === sb.size && Array.from(sa).every(v => sb.has(v));
+    }
+    return (a ?? '') === (b ?? '');
+  }
+
+  function applyMergeStrategy(plan, strategy) {
+    [...plan.games, ...plan.tags].forEach(item => {
+      if (item.kind === 'added') return;
+      if (strategy === 'incoming') item.winner = 'incoming';
+      else if (strategy === 'local') item.winner = 'local';
+      else item.winner = item.kind === 'updated' ? 'incoming' : 'local'; // newest dateUpdated
+      item.picks = Object.fromEntries(item.fields.map(f => [f, item.winner]));
+    });
+  }
+
+  // Resolves a matched pair into the record that will be stored
+  function resolveMergeItem(item) {
+    if (item.kind === 'added') return item.incoming;
+    const takeFrom = f => (item.winner === 'custom' ? item.picks[f] : item.winner) === 'incoming';
+    const taken = item.fields.filter(takeFrom);
+    if (!taken.length) return item.local;
+    const out = { ...item.local };
+    taken.forEach(f => { out[f] = item.incoming[f]; });
+    if (item.entity === 'game') out.dateUpdated = Math.max(item.local.dateUpdated || 0, item.incoming.dateUpdated || 0);
+    return out;
+  }
+
+  // Local list records keep their settings and order; new names from the import are appended.
+  function mergeListRecords(local, incoming) {
+    const names = new Set(local.map(p => p.name));
+    const ids = new Set(local.map(p => p.id));
+    let order = local.reduce((max, p) => Math.max(max, p.order), -1);
+    const added = incoming
+      .filter(p => !names.has(p.name))
+      .map(p => ({ ...p, id: ids.has(p.id) ? uid() : p.id, order: ++order }));
+    return [...local, ...added];
+  }
+
+  // Trashed local records ride along so the rewrite keeps them
+  function applyMergePlan(plan) {
+    const games = [...state.games, ...state.trash.games];
+    const tags = [...state.tags, ...state.trash.tags];
+    const replaceOrAdd = (list, record, localId) => {
+      const idx = localId ? list.findIndex(r => r.id === localId) : -1;
+      if (idx >= 0) list[idx] = record;
+      else list.push(record);
+    };
+    plan.tags.forEach(item => {
+      const tag = sanitizeTag(resolveMergeItem(item));
+      // Added tags go after the local ones, in import order
+      if (!item.local) tag.order = nextTagOrder(tags);
+      replaceOrAdd(tags, tag, item.local?.id);
+    });
+    plan.games.forEach(item => replaceOrAdd(games, sanitizeGame(resolveMergeItem(item)), item.local?.id));
+    return { games, tags };
+  }
+
+  function renderMergePreview(plan) {
+    const container = refs.mergePreview;
+    container.innerHTML = '';
+    const groups = [
+      ['game', 'added', 'Games added'],
+      ['game', 'updated', 'Games updated'],
+      ['game', 'conflict', 'Conflicting games'],
+      ['tag', 'added', 'Tags added'],
+      ['tag', 'conflict', 'Conflicting tags']
+    ];
+    groups.forEach(([entity, kind, label]) => {
+      const items = (entity === 'game' ? plan.games : plan.tags).filter(i => i.kind === kind);
+      if (!items.length) return;
+      const group = document.createElement('details');
+      group.className = 'merge-group';
+      group.open = kind !== 'added';
+      const summary = document.createElement('summary');
+      summary.textContent = `${label} (${items.length})`;
+      group.appendChild(summary);
+      items.forEach(item => group.appendChild(renderMergeItem(item)));
+      container.appendChild(group);
+    });
+    if (!container.children.length) {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = 'Nothing to merge — everything in this file already matches your data.';
+      container.appendChild(p);
+    } else if (plan.unchanged) {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = `${plan.unchanged} record(s) already match and will be left alone.`;
+      container.appendChild(p);
+    }
+  }
+
+  function renderMergeItem(item) {
+    const rec = item.local || item.incoming;
+    const name = item.entity === 'game' ? rec.title : rec.name;
+    if (item.kind === 'added') {
+      const row = document.createElement('div');
+      row.className = 'merge-row';
+      row.textContent = item.entity === 'game' ? `${name} (${rec.platform})` : name;
+      return row;
+    }
+
+    const row = document.createElement('details');
+    row.className = 'merge-row';
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'name';
+    title.textContent = `${name} — ${item.fields.length} field(s) differ`;
+    const winner = document.createElement('select');
+    winner.setAttribute('aria-label', `Winner for ${name}`);
+    [['local', 'Keep local'], ['incoming', 'Take incoming'], ['custom', 'Pick per field']].forEach(([v, t]) => {
+      const opt = document.createElement('option');
+      opt.value = v; opt.textContent = t;
+      winner.appendChild(opt);
+    });
+    winner.value = item.winner;
+    winner.addEventListener('click', e => e.stopPropagation());
+    summary.append(title, winner);
+    row.appendChild(summary);
+
+    const table = document.createElement('div');
+    table.className = 'merge-fields';
+    item.fields.forEach(field => {
+      const line = document.createElement('div');
+      line.className = 'merge-field';
+      const label = document.createElement('span');
+      label.className = 'field-name';
+      label.textContent = field;
+      line.appendChild(label);
+      ['local', 'incoming'].forEach(side => {
+        const opt = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `merge-${item.entity}-${rec.id}-${field}`;
+        radio.value = side;
+        radio.checked = (item.winner === 'custom' ? item.picks[field] : item.winner) === side;
+        radio.addEventListener('change', () => {
+          item.picks = Object.fromEntries(item.fields.map(f => [f, item.winner === 'custom' ? item.picks[f] : item.winner]));
+          item.picks[field] = side;
+          item.winner = 'custom';
+          winner.value = 'custom';
+        });
+        const text = document.createElement('span');
+        text.textContent = `${side === 'local' ? 'Local' : 'Incoming'}: ${formatMergeValue(field, item[side][field])}`;
+        opt.append(radio, text);
+        line.appendChild(opt);
+      });
+      table.appendChild(line);
+    });
+    row.appendChild(table);
+
+    winner.addEventListener('change', () => {
+      item.winner = winner.value;
+      if (item.winner !== 'custom') {
+        item.picks = Object.fromEntries(item.fields.map(f => [f, item.winner]));
+        $$('input[type="radio"]', table).forEach(r => { r.checked = r.value === item.winner; });
+      }
+    });
+    return row;
+  }
+
+  function formatMergeValue(field, value) {
+    if (field === 'tagIds') {
+      const names = (value || []).map(id =>
+        state.tags.find(t => t.id === id)?.name
+        || state.importDraft?.data.tags.find(t => t.id === id)?.name
+        || 'Unknown');
+      return names.length ? names.join(', ') : '—';
+    }
+    if (field === 'favorite') return value ? 'Yes' : 'No';
+    if (field === 'coverId') return value ? 'Uploaded image' : '—';
+    if (field === 'sessions') {
+      const list = value || [];
+      return list.length ? `${list.length} session(s), ${fmtHours(list.reduce((sum, x) => sum + x.minutes, 0) / 60)}` : '—';
+    }
+    if (field === 'notes' && value) return value.length > 80 ? `${value.slice(0, 80)}…` : value;
+    return value === '' || value == null ? '—' : String(value);
+  }
+
+  async function commitImport() {
+    const draft = state.importDraft;
+    if (!draft) return;
+    const before = snapshotData();
+    try {
+      // Asked before anything is written, covers included
+      if (draft.mode !== 'merge') {
+        const ok = await confirmDialog('Importing will replace your current data. Continue?', { danger: true });
+        if (!ok) return;
+      }
+      // Covers are only ever added; ones no game ends up using are pruned on the next start
+      if (draft.data.covers?.length) await Storage.putCovers(draft.data.covers);
+      if (draft.mode === 'merge') {
+        const { games, tags } = applyMergePlan(draft.plan);
+        const { platforms: incPlatforms, statuses: incStatuses, playtimes: incPlaytimes, views: incViews } = draft.data;
+        await Storage.saveCollections({
+          games,
+          tags,
+          platforms: withGamePlatforms(mergeListRecords(state.platforms, incPlatforms), games),
+          statuses: withGameValues(mergeListRecords(state.statuses, incStatuses), games, 'status', createStatus),
+          playtimes: withGameValues(mergeListRecords(state.playtimes, incPlaytimes), games, 'playtime', createPlaytime),
+          views: mergeListRecords(state.views, incViews)
+        });
+        await reloadState();
+        const entry = recordData('Merge import', before);
+        const counts = ['added', 'updated', 'conflict'].map(k => draft.plan.games.filter(i => i.kind === k).length);
+        toastUndo(`Merged • ${counts[0]} added • ${counts[1] + counts[2]} matched`, entry);
+      } else {
+        await Storage.replaceData(draft.data);
+        await reloadState();
+        const entry = recordData('Import', before);
+        if (draft.issues.length) {
+          console.warn('Import issues', draft.issues);
+          toastUndo(`Import complete • ${summarizeIssues(draft.issues)}`, entry, { duration: 6000 });
+        } else {
+          toastUndo('Import complete', entry);
+        }
+      }
+      state.importDraft = null;
+      go('/games');
+    } catch (err) {
+      console.error(err);
+      toast(`Import failed: ${err.message || 'could not save'}`);
+    } finally {
+      updateStorageInfo();
+    }
+  }
+
+  async function reloadState() {
+    await loadLists();
+    setGameRecords(await Storage.getGames());
+    setTagRecords(await Storage.getTags());
+    setCoverRecords(await Storage.getCovers());
+    state.prefs = await Storage.getPrefs();
+    ensureGameLists();
+    renderListOptions();
+    applyTheme(state.prefs.theme);
+    buildFiltersUIFromPrefs();
+    renderGames();
+  }
+
+  function attachImportEvents() {
+    $$('input[name="importMode"]', refs.viewImport).forEach(radio => {
+      radio.addEventListener('change', () => {
+        if (!state.importDraft || !radio.checked) return;
+        state.importDraft.mode = radio.value;
+        renderImportReview();
+      });
+    });
+    refs.mergeStrategy.addEventListener('change', () => {
+      const draft = state.importDraft;
+      if (!draft?.plan) return;
+      draft.strategy = refs.mergeStrategy.value;
+      applyMergeStrategy(draft.plan, draft.strategy);
+      renderMergePreview(draft.plan);
+    });
+    refs.importCommitBtn.addEventListener('click', commitImport);
+    refs.downloadReportBtn.addEventListener('click', () => {
+      const draft = state.importDraft;
+      if (!draft) return;
+      const base = draft.fileName.replace(/\.[^.]+$/, '');
+      downloadFile(`${base}-import-report.json`, JSON.stringify({ file: draft.fileName, ...draft.report }, null, 2), 'application/json');
+    });
+  }
+
+  // ========== ZIP ==========
+  // Just enough zip support for backups with cover images. Entries are written uncompressed
+  // (images are compressed already); reading also inflates deflated entries where the
+  // browser has DecompressionStream, so a re-zipped backup still imports.
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [{ name, data: Uint8Array }] -> Blob
+  function writeZip(files) {
+    const encoder = new TextEncoder();
+    const d = new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+      const nameBytes = encoder.encode(name);
+      const crc = crc32(data);
+      // Fields shared by the local header (at +4) and the central directory entry (at +6)
+      const common = (view, at) => {
+        view.setUint16(at, 20, true); // version needed to extract
+        view.setUint16(at + 2, 0x0800, true); // UTF-8 file names
+        view.setUint16(at + 4, 0, true); // stored
+        view.setUint16(at + 6, time, true);
+        view.setUint16(at + 8, date, true);
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, data.length, true);
+        view.setUint32(at + 18, data.length, true);
+        view.setUint16(at + 22, nameBytes.length, true);
+      };
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      common(local, 4);
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      common(entry, 6);
+      entry.setUint32(42, offset, true);
+      parts.push(local, nameBytes, data);
+      central.push(entry, nameBytes);
+      offset += 30 + nameBytes.length + data.length;
+    });
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, central.reduce((sum, part) => sum + part.byteLength, 0), true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  // ArrayBuffer -> Map of entry name -> Uint8Array
+  async function readZip(buffer) {
+    const view = new DataView(buffer);
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('not a zip file');
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    let pos = view.getUint32(end + 16, true);
+    for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+      if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('damaged zip file');
+      const method = view.getUint16(pos + 10, true);
+      const size = view.getUint32(pos + 20, true);
+      const nameLength = view.getUint16(pos + 28, true);
+      const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+      const local = view.getUint32(pos + 42, true);
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const bytes = new Uint8Array(buffer, start, size);
+      if (method === 0) entries.set(name, bytes);
+      else if (method === 8 && typeof DecompressionStream !== 'undefined') entries.set(name, await inflateRaw(bytes));
+      else throw new Error(`unsupported compression for ${name}`);
+      pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+    }
+    return entries;
+  }
+
+  async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // ========== CSV ==========
+  // Spreadsheet-friendly export of the game list and import through a column-mapping step.
+  // Imported rows become regular game records and then follow the normal review flow.
+  const CSV_FIELDS = [
+    { key: 'title', label: 'Title', aliases: ['title', 'name', 'game', 'gametitle'] },
+    { key: 'platform', label: 'Platform', aliases: ['platform', 'system', 'console'] },
+    { key: 'status', label: 'Status', aliases: ['status', 'state', 'completion', 'completionstatus'] },
+    { key: 'playtime', label: 'Playtime', aliases: ['playtime', 'estimatedplaytime', 'hours', 'length', 'time'] },
+    { key: 'releaseDate', label: 'Release Date', aliases: ['releasedate', 'released', 'release', 'releaseyear'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'genres', 'genre', 'labels', 'categories'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comment', 'comments', 'review'] },
+    { key: 'favorite', label: 'Favorite', aliases: ['favorite', 'favourite', 'fav', 'starred', 'loved'] },
+    { key: 'imageUrl', label: 'Cover URL', aliases: ['coverurl', 'cover', 'image', 'imageurl', 'artwork', 'boxart'] }
+  ];
+  // Export-only columns, appended after the mappable ones
+  const CSV_EXTRA_COLUMNS = [
+    { label: 'Date Added', value: g => new Date(g.dateAdded).toISOString() },
+    { label: 'Last Updated', value: g => new Date(g.dateUpdated).toISOString() }
+  ];
+
+  // Cells a spreadsheet would run as a formula get a leading ' (csvRowsToImport drops it again)
+  const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+  function csvCell(value) {
+    let str = value == null ? '' : String(value);
+    if (CSV_FORMULA_START.test(str)) str = `'${str}`;
+    return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function gamesToCsv(games) {
+    const tagMap = getTagMap();
+    const header = [...CSV_FIELDS.map(f => f.label), ...CSV_EXTRA_COLUMNS.map(c => c.label)];
+    const rows = games.map(g => [
+      g.title,
+      g.platform,
+      g.status,
+      g.playtime,
+      g.releaseDate,
+      (g.tagIds || []).map(id => tagMap.get(id)?.name).filter(Boolean).join('; '),
+      g.notes,
+      g.favorite ? 'Yes' : 'No',
+      g.imageUrl,
+      ...CSV_EXTRA_COLUMNS.map(c => c.value(g))
+    ]);
+    // BOM so spreadsheet apps detect UTF-8
+    return '\uFEFF' + [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+  }
+
+  function exportCsv(filteredOnly) {
+    const list = filteredOnly
+      ? sortGames(getFilteredGames(), currentSortField(), state.prefs.sortDir)
+      : sortGames(state.games, 'title', 'asc');
+    downloadFile(`backlog-atlas-${new Date().toISOString().slice(0, 10)}.csv`, gamesToCsv(list), 'text/csv');
+    toast(`Exported ${list.length} game(s)`);
+  }
+
+  // RFC 4180-ish parser: quoted fields, doubled quotes, CRLF/LF, and a delimiter
+  // sniffed from the header line (comma, semicolon or tab). Blank lines are skipped.
+  function parseCsv(text) {
+    const src = text.replace(/^\uFEFF/, '');
+    const firstLine = src.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+      .map(d => [d, firstLine.split(d).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && cell === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(cell); cell = '';
+        rows.push(row); row = [];
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+
+    const nonBlank = rows.filter(r => r.some(c => c.trim() !== ''));
+    if (!nonBlank.length) throw new Error('empty CSV file');
+    const [headers, ...body] = nonBlank;
+    return { headers: headers.map(h => h.trim()), rows: body };
+  }
+
+  function guessCsvMapping(headers) {
+    const norm = h => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const mapping = {};
+    CSV_FIELDS.forEach(field => {
+      const idx = headers.findIndex(h => field.aliases.includes(norm(h)));
+      mapping[field.key] = idx; // -1 = not mapped
+    });
+    return mapping;
+  }
+
+  // Case-insensitive match against a known list; unmatched values are returned as-is
+  // so sanitizeGame can keep and report them.
+  function matchListValue(list, value) {
+    const v = String(value || '').trim();
+    if (!v) return '';
+    return list.find(item => item.toLowerCase() === v.toLowerCase()) || v;
+  }
+
+  // Hour counts ("25", "25h") map onto the playtime bucket that contains them
+  function matchPlaytime(value) {
+    const v = String(value || '').trim();
+    const hours = parseFloat(v);
+    if (/^\d+(\.\d+)?\s*(h|hrs?|hours?)?$/i.test(v) && Number.isFinite(hours)) return playtimeForHours(hours);
+    return matchListValue(playtimeNames(), v);
+  }
+
+  // Buckets without hour bounds (e.g. added by an import) are skipped; hours falling in a
+  // gap between buckets go to the closest bucket below.
+  function playtimeForHours(hours) {
+    const bounded = state.playtimes.filter(p => p.minHours != null || p.maxHours != null);
+    const hit = bounded.find(p => hours >= (p.minHours ?? 0) && (p.maxHours == null || hours < p.maxHours))
+      || bounded.filter(p => (p.minHours ?? 0) <= hours).sort((a, b) => (b.minHours ?? 0) - (a.minHours ?? 0))[0]
+      || bounded[0];
+    return hit?.name || defaultPlaytime();
+  }
+
+  // Resolves tag names against a working copy of the current tags (case-insensitive),
+  // creating missing ones the same way the form's quick-add does.
+  function createTagResolver() {
+    const tags = state.tags.map(t => ({ ...t }));
+    const byName = new Map(tags.map(t => [t.name.toLowerCase(), t]));
+    const resolve = (name) => {
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        const tag = { id: uid(), name, color: randomPastel(), emoji: '', order: nextTagOrder([...tags, ...state.trash.tags]) };
+        tags.push(tag);
+        byName.set(key, tag);
+      }
+      return byName.get(key).id;
+    };
+    return { tags, resolve };
+  }
+
+  function parseCsvBool(value) {
+    return /^(y|yes|true|1|x|★|❤️?|fav(ou?rite)?)$/i.test(String(value || '').trim());
+  }
+
+  // Turns mapped CSV rows into raw game/tag records for prepareImport().
+  // Tag names go through createTagResolver().
+  function csvRowsToImport(csv, mapping, issues) {
+    const cellOf = (row, key) => {
+      const cell = mapping[key] >= 0 ? (row[mapping[key]] ?? '').trim() : '';
+      return cell.startsWith("'") && CSV_FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+    };
+    const { tags, resolve: ensureTag } = createTagResolver();
+
+    const games = [];
+    csv.rows.forEach((row, i) => {
+      const title = cellOf(row, 'title');
+      if (!title) {
+        issues.push({ entity: 'game', kind: 'dropped', field: 'title', reason: `Row ${i + 2} has no title` });
+        return;
+      }
+      const rawTags = cellOf(row, 'tags');
+      const tagNames = rawTags.split(/[;|]/.test(rawTags) ? /[;|]/ : ',').map(t => t.trim()).filter(Boolean);
+      const release = cellOf(row, 'releaseDate');
+      const ts = now();
+      games.push({
+        id: uid(),
+        title,
+        platform: mapExternalPlatform(cellOf(row, 'platform')) || 'PC',
+        status: matchListValue(statusNames(), cellOf(row, 'status')) || defaultStatus(),
+        playtime: matchPlaytime(cellOf(row, 'playtime')) || defaultPlaytime(),
+        releaseDate: release ? (toIsoDate(/^\d{4}$/.test(release) ? `${release}-01-01` : release) || release) : '',
+        tagIds: tagNames.map(ensureTag),
+        notes: cellOf(row, 'notes'),
+        favorite: parseCsvBool(cellOf(row, 'favorite')),
+        imageUrl: cellOf(row, 'imageUrl'),
+        dateAdded: ts,
+        dateUpdated: ts
+      });
+    });
+    return { schema: SCHEMA_VERSION, games, tags, prefs: state.prefs, rowCount: csv.rows.length };
+  }
+
+  async function startCsvImport(file) {
+    try {
+      const csv = parseCsv(await file.text());
+      const draft = {
+        fileName: file.name || 'Spreadsheet',
+        source: 'csv',
+        csv,
+        mapping: guessCsvMapping(csv.headers),
+        mode: 'merge',
+        // Rows are stamped "now", so "newest" would let every row win over local edits
+        strategy: 'local',
+        plan: null
+      };
+      rebuildCsvDraft(draft);
+      state.importDraft = draft;
+      go('/import');
+    } catch (err) {
+      console.error(err);
+      toast(`Import failed: ${err.message || 'invalid file'}`);
+    }
+  }
+
+  function rebuildCsvDraft(draft) {
+    const issues = [];
+    if (draft.mapping.title < 0) {
+      issues.push({ entity: 'game', kind: 'warning', field: 'title', reason: 'No column is mapped to Title; nothing will be imported' });
+    }
+    const { data, report } = prepareImport(csvRowsToImport(draft.csv, draft.mapping, issues), issues);
+    draft.data = data;
+    draft.issues = issues;
+    draft.report = report;
+    // A spreadsheet only knows its mapped columns; sessions, covers and unmapped fields stay local
+    draft.mergeFields = CSV_FIELDS.filter(f => draft.mapping[f.key] >= 0).map(f => (f.key === 'tags' ? 'tagIds' : f.key));
+    draft.plan = null;
+  }
+
+  function renderCsvMapping(draft) {
+    const container = refs.csvMapping;
+    container.innerHTML = '';
+    CSV_FIELDS.forEach(field => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      const id = `csvMap-${field.key}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label;
+      const select = document.createElement('select');
+      select.id = id;
+      const none = document.createElement('option');
+      none.value = '-1';
+      none.textContent = '(ignore)';
+      select.appendChild(none);
+      draft.csv.headers.forEach((h, i) => {
+        const opt = document.createElement('option');
+        opt.value = String(i);
+        const sample = draft.csv.rows.find(r => (r[i] || '').trim())?.[i]?.trim();
+        opt.textContent = sample ? `${h || `Column ${i + 1}`} (e.g. ${sample.slice(0, 30)})` : (h || `Column ${i + 1}`);
+        select.appendChild(opt);
+      });
+      select.value = String(draft.mapping[field.key]);
+      select.addEventListener('change', () => {
+        draft.mapping[field.key] = Number(select.value);
+        rebuildCsvDraft(draft);
+        renderImportReview();
+      });
+      row.append(label, select);
+      container.appendChild(row);
+    });
+  }
+
+  // ========== LIBRARY IMPORTERS ==========
+  // Converters for library export files from other apps. Each importer turns the parsed
+  // file into raw game records; those then go through prepareImport() and the normal
+  // review on #/import (merge mode, keeping local values for games you already have).
+  const PLATFORM_ALIASES = {
+    pc: 'PC', windows: 'PC', pcwindows: 'PC', pclinux: 'PC', pcmacos: 'PC', linux: 'PC', mac: 'PC', macos: 'PC',
+    steam: 'PC', gog: 'PC', epic: 'PC', epicgames: 'PC', origin: 'PC', ea: 'PC', uplay: 'PC', ubisoft: 'PC',
+    battlenet: 'PC', humble: 'PC', itch: 'PC', itchio: 'PC', amazon: 'PC',
+    ps5: 'PS5', playstation5: 'PS5',
+    ps4: 'PS4', playstation4: 'PS4',
+    ps3: 'PS3', playstation3: 'PS3',
+    switch: 'Switch', nswitch: 'Switch',
+    switch2: 'Switch 2', nswitch2: 'Switch 2',
+    '3ds': '3DS', new3ds: '3DS',
+    ds: 'NDS', nds: 'NDS',
+    gamecube: 'GCN', gcn: 'GCN', ngc: 'GCN',
+    wii: 'Wii',
+    ios: 'iOS', iphone: 'iOS', ipad: 'iOS'
+  };
+
+  // External status -> role; statusForRole turns a role into one of the user's statuses
+  const STATUS_ALIASES = {
+    notplayed: 'unplayed', unplayed: 'unplayed', backlog: 'unplayed', wishlist: 'unplayed', plantoplay: 'unplayed', planned: 'unplayed', owned: 'unplayed',
+    playing: 'playing', inprogress: 'playing', currentlyplaying: 'playing', started: 'playing',
+    onhold: 'paused', paused: 'paused', shelved: 'paused',
+    played: 'finished', beaten: 'finished', completed: 'finished', finished: 'finished', mastered: 'finished', replay: 'finished',
+    abandoned: 'abandoned', dropped: 'abandoned', retired: 'abandoned',
+    endless: 'continuous', continuous: 'continuous', ongoing: 'continuous'
+  };
+  // Roles without a flag on the status records match the seeded name while it is still in
+  // the list, else fall back to a flagged role
+  const STATUS_ROLE_SEEDS = {
+    paused: ['Paused', 'playing'],
+    abandoned: ['Abandoned', 'unplayed'],
+    continuous: ['Continuous', 'playing']
+  };
+
+  const aliasKey = (value) => String(value || '').toLowerCase()
+    .replace(/^(sony|nintendo|apple|microsoft)\s+/, '')
+    .replace(/[^a-z0-9]/g, '');
+
+  // Managed names and short labels win; then the aliases above. Unmapped names are
+  // returned as-is so sanitizeGame keeps and reports them.
+  function mapExternalPlatform(name) {
+    const v = String(name || '').trim();
+    const alias = PLATFORM_ALIASES[aliasKey(v)];
+    return matchPlatform(v) || (alias && (matchPlatform(alias) || alias)) || v;
+  }
+
+  function statusForRole(role) {
+    if (role === 'finished') return finishedStatus() || defaultStatus();
+    if (role === 'playing') return playingStatus() || defaultStatus();
+    if (role === 'unplayed') return defaultStatus();
+    const [seed, fallback] = STATUS_ROLE_SEEDS[role];
+    const name = matchListValue(statusNames(), seed);
+    return statusNames().includes(name) ? name : statusForRole(fallback);
+  }
+
+  // `overrides` (alias key -> role) win, then the user's own status names, then the aliases
+  // above. Unmapped names are returned as-is so sanitizeGame keeps and reports them.
+  function mapExternalStatus(name, overrides = {}) {
+    const v = String(name || '').trim();
+    if (!v) return defaultStatus();
+    const key = aliasKey(v);
+    if (overrides[key]) return statusForRole(overrides[key]);
+    const own = matchListValue(statusNames(), v);
+    if (statusNames().includes(own)) return own;
+    return STATUS_ALIASES[key] ? statusForRole(STATUS_ALIASES[key]) : v;
+  }
+
+  // "25:30", "25:30:00", "25h 30m", "25 hours", "25.5" -> hours
+  function parseHours(value) {
+    const v = String(value || '').trim();
+    if (!v) return NaN;
+    let m = v.match(/^(\d+):(\d{1,2})(?::\d{1,2})?$/);
+    if (m) return Number(m[1]) + Number(m[2]) / 60;
+    m = v.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:ins?|inutes?)?)?$/i);
+    if (m && (m[1] || m[2])) return Number(m[1] || 0) + Number(m[2] || 0) / 60;
+    return parseFloat(v);
+  }
+
+  // Accepts unix seconds, unix milliseconds or a date string
+  function parseExternalTime(value) {
+    if (value == null || value === '') return undefined;
+    const n = Number(value);
+    if (Number.isFinite(n) && n > 0) return n < 1e12 ? n * 1000 : n;
+    const t = Date.parse(value);
+    return Number.isFinite(t) ? t : undefined;
+  }
+
+  // "['steam', 'gog']", "steam, gog" or an array -> ['steam', 'gog']
+  function parseExternalList(value) {
+    if (Array.isArray(value)) return value.map(v => (typeof v === 'string' ? v : v?.Name || v?.name)).filter(Boolean);
+    return String(value || '')
+      .replace(/^\[|\]$/g, '')
+      .split(/[,;|]/)
+      .map(v => v.trim().replace(/^['"]|['"]$/g, '').trim())
+      .filter(Boolean);
+  }
+
+  function externalGame(fields) {
+    const ts = now();
+    return {
+      id: uid(),
+      title: '',
+      platform: 'PC',
+      releaseDate: '',
+      status: defaultStatus(),
+      playtime: defaultPlaytime(),
+      tagIds: [],
+      notes: '',
+      favorite: false,
+      imageUrl: '',
+      ...Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined)),
+      dateAdded: fields.dateAdded || ts,
+      dateUpdated: fields.dateUpdated || fields.dateAdded || ts
+    };
+  }
+
+  // Total playtime reported by a launcher becomes one play session
+  function importedSessions(minutes, lastPlayed, source) {
+    if (!(minutes >= 1)) return [];
+    return [{ id: uid(), date: toIsoDate(lastPlayed || now()), minutes: Math.round(minutes), note: `Playtime imported from ${source}` }];
+  }
+
+  function csvColumn(headers, aliases) {
+    const norm = h => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return headers.findIndex(h => aliases.includes(norm(h)));
+  }
+
+  // Reads CSV rows by column aliases: cells.get(row, 'title')
+  function csvCells(headers, columns) {
+    const idx = Object.fromEntries(Object.entries(columns).map(([k, aliases]) => [k, csvColumn(headers, aliases)]));
+    return { has: k => idx[k] >= 0, get: (row, k) => (idx[k] >= 0 ? (row[idx[k]] || '').trim() : '') };
+  }
+
+  function steamGameList(data) {
+    const list = Array.isArray(data) ? data : data?.response?.games || data?.games;
+    return Array.isArray(list) && list.some(g => g && typeof g === 'object' && 'appid' in g) ? list : null;
+  }
+
+  function playniteGameList(data) {
+    const list = Array.isArray(data) ? data : data?.Games || data?.games;
+    return Array.isArray(list) && list.some(g => g && typeof g === 'object' && 'Name' in g
+      && ('CompletionStatus' in g || 'PluginId' in g || 'GameId' in g || 'Platforms' in g)) ? list : null;
+  }
+
+  // Checked in order; the first one whose detect() matches wins in auto mode.
+  const LIBRARY_IMPORTERS = [
+    {
+      // Steam Web API GetOwnedGames response (or its games array)
+      id: 'steam',
+      label: 'Steam library (JSON)',
+      format: 'json',
+      detect: data => !!steamGameList(data),
+      convert(data) {
+        const recent = now() - 30 * 24 * 60 * 60 * 1000;
+        return steamGameList(data).map(g => {
+          const minutes = Number(g.playtime_forever) || 0;
+          const lastPlayed = parseExternalTime(g.rtime_last_played);
+          return externalGame({
+            title: String(g.name || '').trim(),
+            platform: 'PC',
+            status: mapExternalStatus(minutes === 0 ? 'unplayed' : (lastPlayed || 0) > recent ? 'playing' : 'paused'),
+            sessions: importedSessions(minutes, lastPlayed, 'Steam'),
+            imageUrl: g.appid ? `https://cdn.cloudflare.steamstatic.com/steam/apps/${g.appid}/library_600x900.jpg` : ''
+          });
+        });
+      }
+    },
+    {
+      // Playnite library export: array of game objects with Name, Platforms, CompletionStatus…
+      id: 'playnite',
+      label: 'Playnite (JSON)',
+      format: 'json',
+      detect: data => !!playniteGameList(data),
+      convert(data, { resolveTag }) {
+        return playniteGameList(data).map(g => {
+          const status = typeof g.CompletionStatus === 'string' ? g.CompletionStatus : g.CompletionStatus?.Name;
+          const release = g.ReleaseDate?.ReleaseDate || g.ReleaseDate || (g.ReleaseYear ? `${g.ReleaseYear}-01-01` : '');
+          const seconds = Number(g.Playtime) || 0;
+          return externalGame({
+            title: String(g.Name || '').trim(),
+            platform: mapExternalPlatform(parseExternalList(g.Platforms)[0] || 'PC'),
+            status: mapExternalStatus(status, { played: 'finished' }),
+            releaseDate: release ? toIsoDate(release) || String(release) : '',
+            tagIds: parseExternalList(g.Tags).map(resolveTag),
+            notes: typeof g.Notes === 'string' ? g.Notes : '',
+            sessions: importedSessions(seconds / 60, parseExternalTime(g.LastActivity), 'Playnite'),
+            favorite: !!g.Favorite,
+            imageUrl: /^https?:\/\//.test(g.CoverImage || '') ? g.CoverImage : '',
+            dateAdded: parseExternalTime(g.Added),
+            dateUpdated: parseExternalTime(g.Modified)
+          });
+        });
+      }
+    },
+    {
+      // HowLongToBeat profile export: one column per list (Playing, Backlog, Completed…)
+      // marked with a value, plus the recorded times.
+      id: 'hltb',
+      label: 'HowLongToBeat (CSV)',
+      format: 'csv',
+      detect: csv => csvColumn(csv.headers, ['mainstory', 'completionist', 'mainextras']) >= 0,
+      convert(csv) {
+        const cells = csvCells(csv.headers, {
+          title: ['title', 'name', 'game'],
+          platform: ['platform'],
+          playing: ['playing'], backlog: ['backlog'], replay: ['replay', 'replays'],
+          completed: ['completed'], retired: ['retired'],
+          main: ['mainstory'], extras: ['mainextras'], complete: ['completionist'],
+          notes: ['reviewnotes', 'notes', 'review'],
+          added: ['added', 'dateadded'], updated: ['updated', 'lastupdated']
+        });
+        const flagged = (row, k) => !!cells.get(row, k) && !/^(0|no|false)$/i.test(cells.get(row, k));
+        return csv.rows.map(row => {
+          // HowLongToBeat's own list names, mapped like any external status
+          const status = mapExternalStatus(flagged(row, 'completed') ? 'completed'
+            : flagged(row, 'replay') ? 'replay'
+            : flagged(row, 'playing') ? 'playing'
+            : flagged(row, 'retired') ? 'retired'
+            : 'backlog');
+          const hours = [cells.get(row, 'main'), cells.get(row, 'extras'), cells.get(row, 'complete')]
+            .map(parseHours).find(h => Number.isFinite(h) && h > 0);
+          return externalGame({
+            title: cells.get(row, 'title'),
+            platform: mapExternalPlatform(cells.get(row, 'platform') || 'PC'),
+            status,
+            playtime: hours ? playtimeForHours(hours) : undefined,
+            notes: cells.get(row, 'notes'),
+            dateAdded: parseExternalTime(cells.get(row, 'added')),
+            dateUpdated: parseExternalTime(cells.get(row, 'updated'))
+          });
+        });
+      }
+    },
+    {
+      // GOG Galaxy 2.0 database export script output (title, platformList, gameMins, tags…)
+      id: 'gog',
+      label: 'GOG Galaxy (CSV)',
+      format: 'csv',
+      detect: csv => csvColumn(csv.headers, ['platformlist', 'gamemins']) >= 0,
+      convert(csv, { resolveTag }) {
+        const cells = csvCells(csv.headers, {
+          title: ['title', 'name'],
+          platforms: ['platformlist', 'platforms', 'platform'],
+          release: ['releasedate', 'releasedates'],
+          tags: ['tags'],
+          minutes: ['gamemins', 'minutesplayed'],
+          image: ['verticalcover', 'boxart', 'cover']
+        });
+        return csv.rows.map(row => {
+          const userTags = parseExternalList(cells.get(row, 'tags'));
+          const lower = userTags.map(t => t.toLowerCase());
+          const minutes = Number(cells.get(row, 'minutes')) || 0;
+          const finished = lower.some(t => ['completed', 'finished', 'beaten'].includes(t));
+          const released = parseExternalTime(cells.get(row, 'release'));
+          return externalGame({
+            title: cells.get(row, 'title'),
+            platform: mapExternalPlatform(parseExternalList(cells.get(row, 'platforms'))[0] || 'PC'),
+            status: mapExternalStatus(finished ? 'completed' : minutes > 0 ? 'paused' : 'unplayed'),
+            releaseDate: released ? toIsoDate(released) : '',
+            tagIds: userTags
+              .filter(t => !['favorite', 'favourite', 'completed', 'finished', 'beaten'].includes(t.toLowerCase()))
+              .map(resolveTag),
+            favorite: lower.includes('favorite') || lower.includes('favourite'),
+            sessions: importedSessions(minutes, undefined, 'GOG Galaxy'),
+            imageUrl: /^https?:\/\//.test(cells.get(row, 'image')) ? cells.get(row, 'image') : ''
+          });
+        });
+      }
+    },
+    {
+      // Backloggd collection export (Name/Game, Platform, Status, Rating, Review…)
+      id: 'backloggd',
+      label: 'Backloggd (CSV)',
+      format: 'csv',
+      detect: csv => csvColumn(csv.headers, ['status']) >= 0
+        && csvColumn(csv.headers, ['name', 'gamename', 'game', 'title']) >= 0,
+      convert(csv) {
+        const cells = csvCells(csv.headers, {
+          title: ['gamename', 'name', 'game', 'title'],
+          platform: ['platform', 'playedplatform', 'platforms'],
+          status: ['status'],
+          rating: ['rating'],
+          review: ['review', 'notes'],
+          liked: ['liked', 'favorite', 'favourite'],
+          release: ['releasedate', 'released'],
+          added: ['dateadded', 'added', 'createdat']
+        });
+        return csv.rows.map(row => {
+          const rating = cells.get(row, 'rating');
+          const notes = [cells.get(row, 'review'), rating ? `Backloggd rating: ${rating}` : ''].filter(Boolean).join('\n');
+          const release = cells.get(row, 'release');
+          return externalGame({
+            title: cells.get(row, 'title'),
+            platform: mapExternalPlatform(parseExternalList(cells.get(row, 'platform'))[0] || 'PC'),
+            status: mapExternalStatus(cells.get(row, 'status'), { retired: 'finished' }),
+            releaseDate: release ? toIsoDate(release) || release : '',
+            notes,
+            favorite: parseCsvBool(cells.get(row, 'liked')),
+            dateAdded: parseExternalTime(cells.get(row, 'added'))
+          });
+        });
+      }
+    }
+  ];
+
+  const normalizeTitle = (title) => String(title || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  // Exact title+platform repeats inside the file are folded into the first copy (storefront
+  // exports often list a game once per store). Titles that resemble a game already in the
+  // collection but won't be matched by the merge are flagged as possible duplicates.
+  function dedupeLibraryGames(games, issues) {
+    const byKey = new Map();
+    const unique = [];
+    games.forEach(g => {
+      const first = byKey.get(gameKey(g));
+      if (first) {
+        first.tagIds = Array.from(new Set([...first.tagIds, ...g.tagIds]));
+        first.favorite = first.favorite || g.favorite;
+        issues.push({ entity: 'game', name: g.title, kind: 'dropped', field: 'title', reason: 'Listed more than once in the file; folded into the first copy' });
+        return;
+      }
+      byKey.set(gameKey(g), g);
+      unique.push(g);
+    });
+
+    const localKeys = new Set(state.games.map(gameKey));
+    const localByTitle = new Map();
+    state.games.forEach(g => {
+      const t = normalizeTitle(g.title);
+      if (!localByTitle.has(t)) localByTitle.set(t, []);
+      localByTitle.get(t).push(g);
+    });
+    unique.forEach(g => {
+      if (localKeys.has(gameKey(g))) return; // merge matches these itself
+      const similar = localByTitle.get(normalizeTitle(g.title));
+      if (!similar) return;
+      const where = similar.map(l => `“${l.title}” (${l.platform})`).join(', ');
+      issues.push({ entity: 'game', id: g.id, name: g.title, kind: 'warning', field: 'title', reason: `Possible duplicate of ${where}` });
+    });
+    return unique;
+  }
+
+  function parseLibraryFile(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (/^[[{]/.test(trimmed)) {
+      const data = safeParse(trimmed, null);
+      if (!data) throw new Error('invalid JSON');
+      return { format: 'json', data };
+    }
+    return { format: 'csv', data: parseCsv(trimmed) };
+  }
+
+  async function startLibraryImport(file, sourceId) {
+    try {
+      const parsed = parseLibraryFile(await file.text());
+      const importer = sourceId === 'auto'
+        ? LIBRARY_IMPORTERS.find(imp => imp.format === parsed.format && imp.detect(parsed.data))
+        : LIBRARY_IMPORTERS.find(imp => imp.id === sourceId);
+      if (!importer) throw new Error('unrecognized library file');
+      if (importer.format !== parsed.format) throw new Error(`${importer.label} expects a ${importer.format.toUpperCase()} file`);
+
+      const issues = [];
+      const { tags, resolve } = createTagResolver();
+      const converted = importer.convert(parsed.data, { resolveTag: resolve });
+      const titled = converted.filter((g, i) => {
+        if (g.title) return true;
+        issues.push({ entity: 'game', kind: 'dropped', field: 'title', reason: `Entry ${i + 1} has no title` });
+        return false;
+      });
+      const games = dedupeLibraryGames(titled, issues);
+      const raw = { schema: SCHEMA_VERSION, games, tags, prefs: state.prefs, rowCount: converted.length };
+      const { data, report } = prepareImport(raw, issues);
+      state.importDraft = {
+        fileName: file.name || importer.label,
+        sourceLabel: importer.label,
+        source: importer.id,
+        data,
+        issues,
+        report,
+        mode: 'merge',
+        strategy: 'local', // other apps know less about a game than you do
+        plan: null
+      };
+      go('/import');
+    } catch (err) {
+      console.error(err);
+      toast(`Import failed: ${err.message || 'invalid file'}`);
+    }
+  }
+
+  // ========== SERVICE WORKER ==========
+  // sw.js precaches the app shell for offline use and installation. A new version installs
+  // in the background and waits until the user picks "Reload" on #updateBar.
+  function registerServiceWorker() {
+    // Service workers need http(s); opened from disk the app simply runs online-only
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    let reloadOnChange = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // Also fires when the very first worker takes over; only reload when asked to
+      if (reloadOnChange) location.reload();
     });
+    const offerUpdate = (worker) => {
+      refs.updateBar.hidden = false;
+      refs.updateReloadBtn.onclick = () => {
+        reloadOnChange = true;
+        refs.updateReloadBtn.disabled = true;
+        worker.postMessage('skipWaiting');
+      };
+    };
+    refs.updateDismissBtn.onclick = () => { refs.updateBar.hidden = true; };
+
+    navigator.serviceWorker.register('sw.js').then(reg => {
+      // A controller means this isn't the first install, so a waiting worker is an update
+      if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      // Tabs left open for days look for a new version when they're shown again
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') reg.update().catch(() => {});
+      });
+    }).catch(err => console.warn('Service worker registration failed', err));
   }
 
-  function attachTagsManagerEvents() {
-    refs.addTagBtn.addEventListener('click', () => {
-      const newTag = { id: uid(), name: 'New Tag', color: randomPastel(), emoji: '' };
-      state.tags.push(newTag);
-      Storage.setTags(state.tags);
-      renderTagsManager();
-      renderFormTagOptions();
-      renderFilterTagChips();
+  // ========== COMMAND PALETTE & SHORTCUTS ==========
+  // Ctrl/Cmd+K opens the palette anywhere; the single keys below only act outside text fields
+  // and dialogs, so typing is never hijacked.
+  const KEYBOARD_SHORTCUTS = [
+    ['Ctrl/⌘ K', 'Open the command palette'],
+    ['/', 'Focus search'],
+    ['N', 'Add a game'],
+    ['F', 'Toggle favorite on the focused card'],
+    ['S', 'Cycle status on the focused card'],
+    ['?', 'Show this list'],
+    ['Ctrl/⌘ Z', 'Undo'],
+    ['Ctrl/⌘ Shift Z', 'Redo'],
+    ['Alt ↑', 'Move the focused Up Next game earlier'],
+    ['Alt ↓', 'Move the focused Up Next game later'],
+    ['Esc', 'Close menus and dialogs, leave selection mode']
+  ];
+  const PALETTE_LIMIT = 30;
+
+  const palette = { items: [], active: 0 };
+
+  function attachKeyboardEvents() {
+    document.addEventListener('keydown', onShortcutKey);
+    refs.paletteInput.addEventListener('input', renderPaletteResults);
+    refs.paletteInput.addEventListener('keydown', onPaletteKey);
+    refs.paletteResults.addEventListener('mousedown', e => e.preventDefault()); // keep focus in the input
+    refs.paletteResults.addEventListener('click', (e) => {
+      const li = e.target.closest('li[data-index]');
+      if (li) runPaletteItem(Number(li.dataset.index));
     });
-
-    // Back button is handled globally by .backBtn listeners in each view via route()
-    $$('.backBtn', refs.viewTags).forEach(btn => {
-      btn.onclick = () => history.length > 1 ? history.back() : go('/games');
+    refs.commandPalette.addEventListener('click', (e) => {
+      if (e.target === refs.commandPalette) refs.commandPalette.close(); // backdrop
     });
   }
 
-  function updateTag(updated) {
-    const idx = state.tags.findIndex(t => t.id === updated.id);
-    if (idx === -1) return;
-    state.tags[idx] = sanitizeTag(updated);
-    Storage.setTags(state.tags);
-    renderFormTagOptions();
-    renderFilterTagChips();
-    // Also update games list to render new tag names/colors
-    renderGames();
+  function onShortcutKey(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+      if (document.querySelector('dialog[open]:not(#commandPalette)')) return;
+      e.preventDefault();
+      if (refs.commandPalette.open) refs.commandPalette.close();
+      else openPalette();
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]') || document.querySelector('dialog[open]')) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === '/') focusSearch();
+    else if (key === 'n') go('/form');
+    else if (key === 'f') shortcutQuickAction('toggleFavorite');
+    else if (key === 's') shortcutQuickAction('cycleStatus');
+    else if (key === '?') showShortcuts();
+    else return;
+    e.preventDefault();
   }
 
-  function deleteTag(id) {
-    state.tags = state.tags.filter(t => t.id !== id);
-    Storage.setTags(state.tags);
-    // Remove from games
-    state.games.forEach(g => {
-      if (g.tagIds?.includes(id)) {
-        g.tagIds = g.tagIds.filter(tid => tid !== id);
-        g.dateUpdated = now();
-      }
-    });
-    Storage.setGames(state.games);
-    renderFormTagOptions();
-    renderFilterTagChips();
-    renderGames();
+  function focusSearch() {
+    refs.globalSearch.focus();
+    refs.globalSearch.select();
   }
 
-  // ========== SETTINGS ==========
-  function renderSettings() {
-    refs.themeSelect.value = state.prefs.theme;
-    updateStorageInfo();
+  // The card holding focus, or the game whose details page is open
+  function focusedGameId() {
+    const card = document.activeElement?.closest?.('.game-card');
+    if (card) return card.dataset.id;
+    return state.currentRoute?.path === '/game' ? state.currentRoute.param : null;
   }
 
-  function attachSettingsEvents() {
-    refs.themeSelect.addEventListener('change', () => {
-      state.prefs.theme = refs.themeSelect.value;
-      savePrefs();
-      applyTheme(state.prefs.theme);
-      toast(`Theme: ${state.prefs.theme}`);
-    });
+  function shortcutQuickAction(action) {
+    const id = focusedGameId();
+    if (!id) { toast('Focus a game card first'); return; }
+    handleQuickAction(id, action);
+    if (state.currentRoute?.path === '/game') renderDetails(id);
+  }
 
-    refs.exportBtn.addEventListener('click', () => {
-      const data = Storage.exportData();
-      const blob = new Blob([data], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      const date = new Date().toISOString().slice(0, 10);
-      a.href = url;
-      a.download = `backlog-atlas-${date}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+  function showShortcuts() {
+    refs.shortcutsList.innerHTML = '';
+    KEYBOARD_SHORTCUTS.forEach(([keys, what]) => {
+      const dt = document.createElement('dt');
+      keys.split(' ').forEach(k => {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = k;
+        dt.appendChild(kbd);
+      });
+      const dd = document.createElement('dd');
+      dd.textContent = what;
+      refs.shortcutsList.append(dt, dd);
     });
+    refs.shortcutsDialog.showModal();
+  }
 
-    refs.importBtn.addEventListener('click', () => refs.importFile.click());
-    refs.importFile.addEventListener('change', async (e) => {
-      const file = e.target.files?.[0];
-      if (!file) return;
-      const text = await file.text();
-      const ok = await confirmDialog('Importing will replace your current data. Continue?', { danger: true });
-      if (!ok) return;
-      try {
-        await Storage.importData(text);
-        // Reload state
-        state.games = Storage.getGames();
-        state.tags = Storage.getTags();
-        state.prefs = Storage.getPrefs();
-        applyTheme(state.prefs.theme);
-        buildFiltersUIFromPrefs();
-        renderGames();
-        toast('Import complete');
-        go('/games');
-      } catch (err) {
-        console.error(err);
-        toast('Import failed: invalid file');
-      } finally {
-        refs.importFile.value = '';
-        updateStorageInfo();
+  function openPalette() {
+    refs.paletteInput.value = '';
+    renderPaletteResults();
+    refs.commandPalette.showModal();
+    refs.paletteInput.focus();
+  }
+
+  // Commands are rebuilt on every open so their labels reflect the current prefs
+  function paletteCommands() {
+    const onList = run => () => {
+      if (state.currentRoute?.path !== '/games') go('/games');
+      run();
+    };
+    const commands = [
+      { label: 'Add game', keys: 'N', run: () => go('/form') },
+      { label: 'What should I play next?', run: () => go('/pick') },
+      { label: 'Up Next queue', run: () => go('/queue') },
+      { label: 'Toggle theme', run: toggleTheme },
+      { label: 'Open filters', run: openFiltersFromPalette },
+      state.prefs.view === 'grid'
+        ? { label: 'Switch to list view', run: onList(() => setViewMode('list')) }
+        : { label: 'Switch to grid view', run: onList(() => setViewMode('grid')) },
+      ...$$('option', refs.sortField)
+        .filter(o => !o.disabled && o.value !== state.prefs.sortField)
+        .map(o => ({ label: `Sort by ${o.textContent}`, run: onList(() => setSortField(o.value)) })),
+      {
+        label: state.prefs.sortDir === 'asc' ? 'Sort descending' : 'Sort ascending',
+        run: onList(toggleSortDir)
+      },
+      { label: 'Export backup', run: exportBackup },
+      { label: 'Export CSV', run: () => exportCsv(false) },
+      { label: 'Focus search', keys: '/', run: focusSearch },
+      { label: 'Keyboard shortcuts', keys: '?', run: showShortcuts },
+      ...[
+        ['/games', 'Games'], ['/stats', 'Statistics'], ['/tags', 'Tags'], ['/platforms', 'Platforms'],
+        ['/statuses', 'Statuses'], ['/views', 'Saved views'], ['/trash', 'Trash'], ['/settings', 'Settings']
+      ].map(([path, name]) => ({ label: `Go to ${name}`, run: () => go(path) }))
+    ];
+    return commands.map(c => ({ ...c, kind: 'Command' }));
+  }
+
+  // The filters panel closes on navigation, so open it once the list route has run
+  function openFiltersFromPalette() {
+    if (state.currentRoute?.path === '/games') { openFiltersPanel(); return; }
+    window.addEventListener('hashchange', openFiltersPanel, { once: true });
+    go('/games');
+  }
+
+  function paletteGames() {
+    return state.games.map(g => ({
+      label: g.title,
+      detail: platformLabel(g.platform),
+      kind: 'Game',
+      run: () => go(`#/game/${g.id}`),
+      dateUpdated: g.dateUpdated
+    }));
+  }
+
+  // Subsequence match; adjacent letters, word starts and a plain substring score higher.
+  // Returns { score, ranges } or null when some letter of the query is missing.
+  function fuzzyMatch(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    const t = text.toLowerCase();
+    const at = t.indexOf(q);
+    if (at >= 0) {
+      const wordStart = at === 0 || /[\s\-_:.(]/.test(t[at - 1]);
+      return { score: 100 + q.length * 4 + (at === 0 ? 20 : wordStart ? 10 : 0) - t.length * 0.1, ranges: [[at, at + q.length]] };
+    }
+    const ranges = [];
+    let score = 0;
+    let from = 0;
+    let prev = -2;
+    for (const ch of q.replace(/ /g, '')) {
+      const i = t.indexOf(ch, from);
+      if (i < 0) return null;
+      const wordStart = i === 0 || /[\s\-_:.(]/.test(t[i - 1]);
+      score += 1 + (i === prev + 1 ? 3 : 0) + (wordStart ? 2 : 0);
+      if (i === prev + 1) ranges[ranges.length - 1][1] = i + 1;
+      else ranges.push([i, i + 1]);
+      prev = i;
+      from = i + 1;
+    }
+    return { score: score - t.length * 0.1, ranges };
+  }
+
+  function renderPaletteResults() {
+    const query = refs.paletteInput.value.trim();
+    let items;
+    if (!query) {
+      // Commands first, then the most recently touched games
+      const recent = paletteGames().sort((a, b) => b.dateUpdated - a.dateUpdated).slice(0, 5);
+      items = [...paletteCommands(), ...recent].map(item => ({ ...item, ranges: [] }));
+    } else {
+      items = [...paletteCommands(), ...paletteGames()]
+        .map(item => ({ ...item, ...fuzzyMatch(query, item.label) }))
+        .filter(item => item.ranges)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, PALETTE_LIMIT);
+    }
+    palette.items = items;
+    palette.active = 0;
+
+    refs.paletteResults.innerHTML = '';
+    items.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.id = `palette-option-${i}`;
+      li.className = 'palette-item';
+      li.setAttribute('role', 'option');
+      li.dataset.index = String(i);
+      const kind = document.createElement('span');
+      kind.className = 'kind';
+      kind.textContent = item.kind;
+      const label = document.createElement('span');
+      label.className = 'label';
+      highlightInto(label, item.label, item.ranges);
+      li.append(kind, label);
+      if (item.detail || item.keys) {
+        const extra = document.createElement(item.keys ? 'kbd' : 'span');
+        extra.className = 'detail';
+        extra.textContent = item.keys || item.detail;
+        li.appendChild(extra);
       }
+      refs.paletteResults.appendChild(li);
     });
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.className = 'palette-empty muted';
+      li.textContent = 'No matching games or commands';
+      refs.paletteResults.appendChild(li);
+    }
+    setPaletteActive(0);
+  }
 
-    refs.loadSamplesBtn.addEventListener('click', () => {
-      confirmDialog('Load sample data? This adds examples without removing your current data.').then(ok => {
-        if (!ok) return;
-        loadSampleData(false);
-        toast('Sample data loaded');
-        renderGames();
-        updateStorageInfo();
-      });
-    });
+  function setPaletteActive(index) {
+    const options = $$('li[role="option"]', refs.paletteResults);
+    if (!options.length) {
+      refs.paletteInput.removeAttribute('aria-activedescendant');
+      return;
+    }
+    palette.active = clamp(index, 0, options.length - 1);
+    options.forEach((li, i) => li.setAttribute('aria-selected', String(i === palette.active)));
+    const active = options[palette.active];
+    refs.paletteInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView?.({ block: 'nearest' });
+  }
 
-    refs.resetDataBtn.addEventListener('click', () => {
-      confirmDialog('Reset ALL data? This cannot be undone.', { danger: true }).then(ok => {
-        if (!ok) return;
-        Storage.reset();
-        // Fresh state
-        state.games = [];
-        state.tags = [];
-        state.prefs = { ...DEFAULT_PREFS };
-        savePrefs();
-        applyTheme(state.prefs.theme);
-        buildFiltersUIFromPrefs();
-        renderGames();
-        toast('All data reset');
-        go('/games');
-        updateStorageInfo();
-      });
-    });
+  function onPaletteKey(e) {
+    if (e.key === 'ArrowDown') setPaletteActive(palette.active + 1);
+    else if (e.key === 'ArrowUp') setPaletteActive(palette.active - 1);
+    else if (e.key === 'Enter') runPaletteItem(palette.active);
+    else return;
+    e.preventDefault();
   }
 
-  function updateStorageInfo() {
-    const sizes = [LS_KEYS.games, LS_KEYS.tags, LS_KEYS.prefs]
-      .map(k => (localStorage.getItem(k) || '').length);
-    const bytes = sizes.reduce((a, b) => a + b, 0);
-    const kb = (bytes / 1024).toFixed(1);
-    refs.storageInfo.textContent = `Storage: approx. ${kb} KB used • ${state.games.length} games • ${state.tags.length} tags`;
+  function runPaletteItem(index) {
+    const item = palette.items[index];
+    if (!item) return;
+    refs.commandPalette.close();
+    item.run();
   }
 
   // ========== GLOBAL EVENTS ==========
@@ -1319,20 +6743,36 @@
     refs.fabAdd.addEventListener('click', () => go('/form'));
     refs.emptyAddBtn.addEventListener('click', () => go('/form'));
     refs.tagsBtn.addEventListener('click', () => go('/tags'));
+    refs.statsBtn.addEventListener('click', () => go('/stats'));
     refs.settingsBtn.addEventListener('click', () => go('/settings'));
     refs.themeToggleBtn.addEventListener('click', toggleTheme);
 
     // Search
     const onSearch = debounce(() => {
       state.prefs.search = refs.globalSearch.value.trim();
+      syncRelevanceSort();
       savePrefs();
       updateActiveFiltersSummary();
       renderGames();
     }, 200);
-    refs.globalSearch.addEventListener('input', onSearch);
+    refs.globalSearch.addEventListener('input', () => {
+      onSearch();
+      updateSuggestions();
+    });
+    refs.globalSearch.addEventListener('keydown', onSuggestionKey);
+    refs.globalSearch.addEventListener('blur', hideSuggestions);
+    refs.globalSearch.addEventListener('click', updateSuggestions);
+    refs.searchSuggestions.addEventListener('mousedown', (e) => {
+      const li = e.target.closest('li[data-index]');
+      if (!li) return;
+      e.preventDefault(); // keep focus in the input
+      acceptSuggestion(Number(li.dataset.index));
+    });
     refs.clearSearchBtn.addEventListener('click', () => {
+      hideSuggestions();
       refs.globalSearch.value = '';
       state.prefs.search = '';
+      syncRelevanceSort();
       savePrefs();
       updateActiveFiltersSummary();
       renderGames();
@@ -1340,23 +6780,17 @@
     });
 
     // Sort
-    refs.sortField.addEventListener('change', () => {
-      state.prefs.sortField = refs.sortField.value;
-      savePrefs();
-      renderGames();
-    });
-    refs.sortDirBtn.addEventListener('click', () => {
-      state.prefs.sortDir = state.prefs.sortDir === 'asc' ? 'desc' : 'asc';
-      refs.sortDirBtn.dataset.dir = state.prefs.sortDir;
-      savePrefs();
-      syncSortDirBtnIcon();
-      renderGames();
-    });
+    refs.sortField.addEventListener('change', () => setSortField(refs.sortField.value));
+    refs.sortDirBtn.addEventListener('click', toggleSortDir);
 
     // View toggles
     refs.viewGridBtn.addEventListener('click', () => setViewMode('grid'));
     refs.viewListBtn.addEventListener('click', () => setViewMode('list'));
 
+    // List opened from a link
+    refs.keepLinkedListBtn.addEventListener('click', keepLinkedList);
+    refs.restoreOwnListBtn.addEventListener('click', restoreOwnList);
+
     // Filters
     refs.filterToggleBtn.addEventListener('click', () => {
       const open = refs.filtersPanel.hidden;
@@ -1370,6 +6804,18 @@
     refs.filterFavoritesOnly.addEventListener('change', () => {
       state.filtersWorking.favoritesOnly = !!refs.filterFavoritesOnly.checked;
     });
+    refs.filterTagMatchAll.addEventListener('change', () => {
+      state.filtersWorking.tagMatch = refs.filterTagMatchAll.checked ? 'all' : 'any';
+    });
+    refs.filterRangeField.addEventListener('change', () => {
+      syncRangeInputs();
+      state.filtersWorking.rangeField = refs.filterRangeField.value;
+      state.filtersWorking.rangeMin = refs.filterRangeMin.value;
+      state.filtersWorking.rangeMax = refs.filterRangeMax.value;
+    });
+    [['rangeMin', refs.filterRangeMin], ['rangeMax', refs.filterRangeMax]].forEach(([key, input]) => {
+      input.addEventListener('input', () => { state.filtersWorking[key] = input.value; });
+    });
 
     // Generic back buttons in all views
     $$('.backBtn').forEach(btn => {
@@ -1378,28 +6824,268 @@
   }
 
   function attachListEvents() {
-    // Delegated events are already attached per card in renderGames for fav/more.
+    // Card controls, delegated so windowed cards carry no listeners of their own
+    refs.gamesContainer.addEventListener('click', (e) => {
+      const card = e.target.closest('.game-card');
+      if (!card) return;
+      const id = card.dataset.id;
+      const moreBtn = e.target.closest('.more-btn');
+      if (e.target.closest('.fav-btn')) {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleFavorite(id);
+      } else if (moreBtn) {
+        e.preventDefault();
+        e.stopPropagation();
+        showQuickMenuFor(id, moreBtn);
+      } else if (e.target.closest('.select-box input')) {
+        // Selection: the checkbox, or anywhere on the card while selecting
+        e.stopPropagation();
+        selectGame(id, e.shiftKey);
+      } else if (state.selection.active && !e.target.closest('button, .select-box')) {
+        e.preventDefault();
+        selectGame(id, e.shiftKey);
+      }
+    });
+    window.addEventListener('scroll', scheduleListWindow, { passive: true });
+    window.addEventListener('resize', resetListLayout);
   }
 
   function attachDetailsEvents() {
     // All handlers registered in renderDetails. Nothing global needed here.
   }
 
+  // ========== UNDO / REDO ==========
+  // Every undoable change is one entry on state.undo.done, stored as its own record so it
+  // survives a reload. Record-level changes keep [before, after] pairs per store (null = absent);
+  // imports and resets keep whole-data snapshots instead. Undo writes the "before" side back,
+  // redo the "after" side. The stacks are capped by entry count and by the entries' total size,
+  // dropping the oldest entries first (a large snapshot can push out everything before it).
+  const UNDO_LIMIT = 50;
+  const UNDO_MAX_CHARS = 2000000;
+  const UNDO_MERGE_WINDOW = 60 * 1000;
+
+  // Records cover the trash too: a "before" or "after" with `deletedAt` lands there
+  const UNDO_STORES = {
+    games: { get: () => [...state.games, ...state.trash.games], set: setGameRecords, put: r => Storage.putGames(r), remove: ids => Storage.deleteGames(ids) },
+    tags: { get: () => [...state.tags, ...state.trash.tags], set: setTagRecords, put: r => Storage.putTags(r), remove: ids => Storage.deleteTags(ids) },
+    platforms: {
+      get: () => state.platforms, set: list => { state.platforms = sortByOrder(list); },
+      put: r => Storage.putPlatforms(r), remove: ids => ids.forEach(id => Storage.deletePlatform(id))
+    },
+    // Saved whole, like on #/statuses
+    statuses: {
+      get: () => state.statuses, set: list => { state.statuses = sortByOrder(list); },
+      put: () => Storage.setStatuses(state.statuses), remove: () => Storage.setStatuses(state.statuses)
+    },
+    playtimes: {
+      get: () => state.playtimes, set: list => { state.playtimes = sortByOrder(list); },
+      put: () => Storage.setPlaytimes(state.playtimes), remove: () => Storage.setPlaytimes(state.playtimes)
+    }
+  };
+
+  const cloneRecord = r => (r ? JSON.parse(JSON.stringify(r)) : null);
+
+  // `records` maps a store to [before, after] pairs. Entries with the same `mergeKey` recorded
+  // within UNDO_MERGE_WINDOW fold together, keeping the oldest "before". Returns the entry
+  // the change ended up in, or null when there was nothing to record.
+  function recordChange(label, records, mergeKey = '') {
+    const pairs = Object.fromEntries(Object.entries(records)
+      .filter(([, list]) => list.length)
+      .map(([store, list]) => [store, list.map(([before, after]) => [cloneRecord(before), cloneRecord(after)])]));
+    if (!Object.keys(pairs).length) return null;
+    const { done } = state.undo;
+    const last = done[done.length - 1];
+    if (mergeKey && last?.mergeKey === mergeKey && now() - last.at < UNDO_MERGE_WINDOW && !state.undo.undone.length) {
+      Object.entries(pairs).forEach(([store, list]) => {
+        list.forEach(([, after], i) => { last.records[store][i][1] = after; });
+      });
+      last.at = now();
+      saveUndoEntry(last, 'done');
+      trimUndo();
+      return last;
+    }
+    return pushUndo({ id: uid(), label, at: now(), mergeKey, records: pairs });
+  }
+
+  // For changes that rewrite everything (imports, reset); call once the new data is loaded
+  function recordData(label, before) {
+    return pushUndo({ id: uid(), label, at: now(), data: { before, after: snapshotData() } });
+  }
+
+  function snapshotData() {
+    return JSON.parse(JSON.stringify({
+      games: [...state.games, ...state.trash.games], tags: [...state.tags, ...state.trash.tags],
+      platforms: state.platforms, statuses: state.statuses,
+      playtimes: state.playtimes, views: state.views, prefs: state.prefs
+    }));
+  }
+
+  function pushUndo(entry) {
+    const dropped = state.undo.undone;
+    state.undo.done.push(entry);
+    state.undo.undone = [];
+    if (dropped.length) Storage.deleteUndo(dropped.map(e => e.id));
+    saveUndoEntry(entry, 'done');
+    trimUndo();
+    return entry;
+  }
+
+  // Call after moving `entry` to the top of `stack`
+  function saveUndoEntry(entry, stack) {
+    const { done, undone } = state.undo;
+    entry.seq = [...done, ...undone].reduce((max, e) => Math.max(max, e.seq || 0), 0) + 1;
+    entry.size = JSON.stringify(entry).length;
+    Storage.putUndo(entry, stack);
+  }
+
+  function trimUndo() {
+    const { done, undone } = state.undo;
+    const dropped = [];
+    while (done.length > UNDO_LIMIT) dropped.push(done.shift());
+    let chars = [...done, ...undone].reduce((sum, e) => sum + (e.size || 0), 0);
+    while (done.length > 1 && chars > UNDO_MAX_CHARS) {
+      const entry = (undone.length ? undone : done).shift();
+      chars -= entry.size || 0;
+      dropped.push(entry);
+    }
+    if (dropped.length) Storage.deleteUndo(dropped.map(e => e.id));
+  }
+
+  async function undo() {
+    const entry = state.undo.done.pop();
+    if (!entry) { toast('Nothing to undo'); return; }
+    await applyUndoEntry(entry, 0);
+    state.undo.undone.push(entry);
+    saveUndoEntry(entry, 'undone');
+    toast(`Undone: ${entry.label}`, { action: { label: 'Redo', run: redo } });
+  }
+
+  async function redo() {
+    const entry = state.undo.undone.pop();
+    if (!entry) { toast('Nothing to redo'); return; }
+    await applyUndoEntry(entry, 1);
+    state.undo.done.push(entry);
+    saveUndoEntry(entry, 'done');
+    toast(`Redone: ${entry.label}`, { action: { label: 'Undo', run: undo } });
+  }
+
+  // Toast buttons undo their own change only; newer ones have to go first
+  function undoEntry(id) {
+    const { done } = state.undo;
+    if (done[done.length - 1]?.id === id) undo();
+    else if (done.some(e => e.id === id)) toast('Undo the newer changes first (Ctrl+Z)');
+  }
+
+  // side: 0 restores the "before" records, 1 the "after" ones
+  async function applyUndoEntry(entry, side) {
+    if (entry.data) {
+      const snap = side ? entry.data.after : entry.data.before;
+      await Storage.saveCollections(snap);
+      await Storage.setPrefs(snap.prefs);
+      state.linkedDefaults = null;
+      await reloadState();
+    } else {
+      Object.entries(entry.records).forEach(([store, pairs]) => {
+        const api = UNDO_STORES[store];
+        const list = api.get().slice();
+        const put = []; const remove = [];
+        pairs.forEach(pair => {
+          const record = cloneRecord(pair[side]);
+          const id = (pair[0] || pair[1]).id;
+          const idx = list.findIndex(r => r.id === id);
+          if (record) {
+            if (idx >= 0) list[idx] = record; else list.push(record);
+            put.push(record);
+          } else if (idx >= 0) {
+            list.splice(idx, 1);
+            remove.push(id);
+          }
+          // A list value rename takes the filters along, both ways
+          const other = pair[1 - side];
+          if (Object.values(FILTER_KEYS).includes(store) && record && other && record.name !== other.name) renameFilterValue(store, other.name, record.name);
+        });
+        api.set(list);
+        if (put.length) api.put(put);
+        if (remove.length) api.remove(remove);
+      });
+      renderFormTagOptions();
+      renderFilterTagChips();
+      if (Object.keys(entry.records).some(store => store !== 'games' && store !== 'tags')) refreshListViews();
+      else renderGames();
+    }
+    updateStorageInfo();
+    // Views showing records re-render; a details page whose game is gone falls back to the list
+    if (['/game', '/tags', '/stats', '/queue', '/pick', '/views', '/trash', '/platforms', '/statuses'].includes(state.currentRoute?.path)) route();
+  }
+
+  function attachUndoEvents() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]') || document.querySelector('dialog[open]')) return;
+      e.preventDefault();
+      if (e.shiftKey) redo(); else undo();
+    });
+  }
+
   // ========== GAME OPERATIONS ==========
+  // Returns the undo entry, or null when the patch changed nothing
   function updateGame(id, patch) {
     const idx = state.games.findIndex(g => g.id === id);
-    if (idx === -1) return;
+    if (idx === -1) return null;
     const cur = state.games[idx];
     const next = { ...cur, ...patch, dateUpdated: now() };
+    next.timeline = recordTimeline(cur, next);
+    leaveQueueWhenFinished(cur, next);
     state.games[idx] = sanitizeGame(next);
-    Storage.setGames(state.games);
-    renderGames();
+    Storage.putGame(state.games[idx]);
+    const fields = Object.keys(patch);
+    let entry = null;
+    if (!fields.every(f => sameFieldValue(cur[f], state.games[idx][f]))) {
+      // Notes autosave fires while typing; its saves fold into one step
+      const mergeKey = fields.length === 1 && fields[0] === 'notes' ? `notes:${id}` : '';
+      entry = recordChange(`Edit ${cur.title}`, { games: [[cur, state.games[idx]]] }, mergeKey);
+    }
+    renderGameChange(id);
     updateStorageInfo();
+    return entry;
+  }
+
+  // Status transitions and favorite toggles get an entry each; other field edits share one
+  // "edit" entry, folded into the previous one when it is recent (e.g. notes autosave).
+  const TIMELINE_EDIT_WINDOW = 10 * 60 * 1000;
+
+  function recordTimeline(cur, next) {
+    // Starts from the patched timeline (list renames rewrite its names)
+    const timeline = (next.timeline || []).slice();
+    const at = next.dateUpdated;
+    if (next.status !== cur.status) timeline.push({ at, type: 'status', from: cur.status, to: next.status });
+    if (!!next.favorite !== !!cur.favorite) timeline.push({ at, type: 'favorite', to: !!next.favorite });
+    const fields = Object.keys(TIMELINE_FIELD_LABELS).filter(f => !sameFieldValue(cur[f], next[f]));
+    if (fields.length) {
+      const last = timeline[timeline.length - 1];
+      if (last?.type === 'edit' && at - last.at < TIMELINE_EDIT_WINDOW) {
+        timeline[timeline.length - 1] = { ...last, at, fields: Array.from(new Set([...last.fields, ...fields])) };
+      } else {
+        timeline.push({ at, type: 'edit', fields });
+      }
+    }
+    return timeline;
+  }
+
+  // Reaching a finished status takes a game out of the Up Next queue
+  function leaveQueueWhenFinished(cur, next) {
+    if (next.queuePos != null && next.status !== cur.status && isFinished(next)) next.queuePos = null;
   }
 
+  // Moves the game to the trash (see TRASH)
   function deleteGame(id) {
-    state.games = state.games.filter(g => g.id !== id);
-    Storage.setGames(state.games);
+    const game = state.games.find(g => g.id === id);
+    if (!game) return null;
+    const trashed = { ...game, deletedAt: now() };
+    setGameRecords([...state.games.filter(g => g.id !== id), ...state.trash.games, trashed]);
+    Storage.putGame(trashed);
+    const entry = recordChange(`Delete ${game.title}`, { games: [[game, trashed]] });
     renderGames();
     updateStorageInfo();
     // If deleting from details, go back
@@ -1407,6 +7093,46 @@
     if (path === '/game' && param === id) {
       go('/games');
     }
+    return entry;
+  }
+
+  // Batch counterpart of updateGame: `patchFor(game)` returns the fields to change (or null to
+  // skip the game) and every changed game is stored in one write, as one undo step named `label`.
+  // `ids` may name trashed games. With `rename` (a list value renamed) the patch's timeline is
+  // kept as is; `records` adds other changed records to the same undo step.
+  // Returns that undo entry, or null when nothing changed.
+  function updateGames(ids, patchFor, label = 'Edit games', { rename = false, records = {} } = {}) {
+    const pick = new Set(ids);
+    const at = now();
+    const changed = [];
+    setGameRecords([...state.games, ...state.trash.games].map(cur => {
+      if (!pick.has(cur.id)) return cur;
+      const patch = patchFor(cur);
+      if (!patch) return cur;
+      const next = { ...cur, ...patch, dateUpdated: at };
+      if (!rename) next.timeline = recordTimeline(cur, next);
+      leaveQueueWhenFinished(cur, next);
+      const game = sanitizeGame(next);
+      changed.push([cur, game]);
+      return game;
+    }));
+    if (changed.length) Storage.putGames(changed.map(([, game]) => game));
+    const entry = recordChange(label, { ...records, games: changed });
+    renderGames();
+    updateStorageInfo();
+    return entry;
+  }
+
+  function deleteGames(ids) {
+    const drop = new Set(ids);
+    const at = now();
+    const removed = state.games.filter(g => drop.has(g.id)).map(g => [g, { ...g, deletedAt: at }]);
+    setGameRecords([...state.games.filter(g => !drop.has(g.id)), ...state.trash.games, ...removed.map(([, t]) => t)]);
+    Storage.putGames(removed.map(([, t]) => t));
+    const entry = recordChange(`Delete ${gamesLabel(removed.length)}`, { games: removed });
+    renderGames();
+    updateStorageInfo();
+    return entry;
   }
 
   function toggleFavorite(id) {
@@ -1426,12 +7152,189 @@
     });
   }
 
+  // Like select.value = value, but keeps values outside the option list selectable
+  // (e.g. a platform preserved from an import) instead of silently picking the first option.
+  function setSelectValue(select, value) {
+    $$('option[data-extra]', select).forEach(o => o.remove());
+    if (value && !Array.from(select.options).some(o => o.value === value)) {
+      const opt = document.createElement('option');
+      opt.value = value; opt.textContent = value;
+      opt.dataset.extra = 'true';
+      select.appendChild(opt);
+    }
+    select.value = value;
+  }
+
+  function downloadFile(name, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function platformNames() {
+    return state.platforms.map(p => p.name);
+  }
+  function statusNames() {
+    return state.statuses.map(st => st.name);
+  }
+  function playtimeNames() {
+    return state.playtimes.map(pt => pt.name);
+  }
+  function knownValues() {
+    return { platforms: platformNames(), statuses: statusNames(), playtimes: playtimeNames() };
+  }
+
+  const middleOf = list => list[Math.floor((list.length - 1) / 2)];
+  // Defaults for new games: first status, middle playtime bucket
+  function defaultStatus() {
+    return state.statuses[0]?.name || 'Unplayed';
+  }
+  function defaultPlaytime() {
+    return middleOf(playtimeNames()) || 'Average (20-40 hours)';
+  }
+  // The status "Mark finished" moves a game to
+  function finishedStatus() {
+    return state.statuses.find(st => st.finished)?.name || '';
+  }
+  // The status "Start playing" (picker) moves a game to
+  function playingStatus() {
+    return state.statuses.find(st => st.playing)?.name || '';
+  }
+
+  async function loadLists() {
+    const load = (records, sanitize) => sortByOrder(records.map(r => sanitize(r)).filter(Boolean));
+    state.platforms = load(await Storage.getPlatforms(), sanitizePlatform);
+    state.statuses = load(await Storage.getStatuses(), sanitizeStatus);
+    state.playtimes = load(await Storage.getPlaytimes(), sanitizePlaytime);
+    state.views = load(await Storage.getViews(), sanitizeView);
+  }
+
+  // Adds records for values used by games but missing from their list (and seeds the
+  // defaults into an empty list), persisting only the lists that changed.
+  function ensureGameLists() {
+    [
+      ['platforms', 'platform', createPlatform, defaultPlatforms, list => Storage.setPlatforms(list)],
+      ['statuses', 'status', createStatus, defaultStatuses, list => Storage.setStatuses(list)],
+      ['playtimes', 'playtime', createPlaytime, defaultPlaytimes, list => Storage.setPlaytimes(list)]
+    ].forEach(([key, field, create, defaults, save]) => {
+      const base = state[key].length ? state[key] : defaults();
+      const next = withGameValues(base, state.games, field, create);
+      if (next.length === state[key].length) return;
+      state[key] = next;
+      save(next);
+    });
+  }
+
+  // Form selects follow the lists; hidden platforms are left out (setSelectValue() still
+  // shows one when editing a game that uses it).
+  function renderListOptions() {
+    const fill = (select, names) => {
+      const current = select.value;
+      populateSelect(select, names);
+      if (current) setSelectValue(select, current);
+    };
+    fill(refs.platformSelect, state.platforms.filter(p => !p.hidden).map(p => p.name));
+    fill(refs.statusSelect, statusNames());
+    fill(refs.playtimeSelect, playtimeNames());
+    fill(refs.detailsStatusSelect, statusNames());
+  }
+
+  // Re-renders everything that shows list values after a list changes
+  function refreshListViews() {
+    renderListOptions();
+    buildFiltersUIFromPrefs();
+    renderGames();
+  }
+
+  const DERIVED_LABELS = { startedOn: 'Started on', finishedOn: 'Finished on', daysToFinish: 'Days to finish' };
+  const RANGE_LABELS = { dateAdded: 'Added on', ...DERIVED_LABELS };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Derived from the timeline and play sessions; each value is null when unknown.
+  // Started: the first move away from the first status (or the first session, if earlier).
+  // Finished: the last move into the current status, while that status is a finished one.
+  function gameDates(g) {
+    const timeline = g.timeline || [];
+    const initial = state.statuses[0]?.name;
+    const moves = timeline.filter(e => e.type === 'added' || e.type === 'status');
+    const firstMove = moves.find(e => e.to && e.to !== initial);
+    const firstSession = (g.sessions || []).reduce((min, s) => Math.min(min, new Date(`${s.date}T00:00`).getTime()), Infinity);
+    const startedOn = Math.min(firstMove ? firstMove.at : Infinity, firstSession);
+    const finished = state.statuses.find(s => s.name === g.status)?.finished;
+    const lastMove = finished ? moves.filter(e => e.to === g.status).pop() : null;
+    const result = {
+      startedOn: Number.isFinite(startedOn) ? startedOn : null,
+      finishedOn: lastMove ? lastMove.at : null,
+      daysToFinish: null
+    };
+    if (result.startedOn != null && result.finishedOn != null) {
+      result.daysToFinish = Math.max(0, Math.round((result.finishedOn - result.startedOn) / DAY_MS));
+    }
+    return result;
+  }
+
+  function minutesPlayed(g) {
+    return (g.sessions || []).reduce((sum, s) => sum + s.minutes, 0);
+  }
+
+  // Midpoint of the playtime bucket (its lower bound when open-ended); 0 when it has no hours
+  function estimatedHours(g) {
+    const pt = state.playtimes.find(x => x.name === g.playtime);
+    if (!pt || (pt.minHours == null && pt.maxHours == null)) return 0;
+    if (pt.maxHours == null) return pt.minHours;
+    return ((pt.minHours ?? 0) + pt.maxHours) / 2;
+  }
+
+  function isFinished(g) {
+    return !!state.statuses.find(s => s.name === g.status)?.finished;
+  }
+
+  // "40–60 h" / "100+ h" from the bucket's hour bounds; '' when it has none
+  function playtimeRangeText(name) {
+    const pt = state.playtimes.find(x => x.name === name);
+    if (!pt || (pt.minHours == null && pt.maxHours == null)) return '';
+    if (pt.maxHours == null) return `${pt.minHours}+ h`;
+    return `${pt.minHours ?? 0}–${pt.maxHours} h`;
+  }
+
+  function sortByOrder(records) {
+    return records.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  // Status colors come from the editable list; see the [data-status] rule in styles.css
+  function paintStatus(el, name) {
+    const st = state.statuses.find(x => x.name === name);
+    el.dataset.status = name;
+    el.style.setProperty('--status-color', st?.color || '');
+    el.style.setProperty('--status-text', st ? readableTextColor(st.color) : '');
+  }
+
+  // "🎮 Switch"; with `short`, the short label stands in for the name where set
+  function platformLabel(name, { short = false } = {}) {
+    const p = state.platforms.find(x => x.name === name);
+    const text = (short && p?.short) || name;
+    return p?.icon ? `${p.icon} ${text}` : text;
+  }
+
+  // Exact name or short label, case-insensitive
+  function matchPlatform(value) {
+    const v = String(value || '').trim().toLowerCase();
+    if (!v) return '';
+    const p = state.platforms.find(x => x.name.toLowerCase() === v || (x.short && x.short.toLowerCase() === v));
+    return p ? p.name : '';
+  }
+
   function getTagMap() {
     return new Map(state.tags.map(t => [t.id, t]));
   }
 
+  // While a linked list is shown, the user's own list state is what gets persisted
   function savePrefs() {
-    Storage.setPrefs(state.prefs);
+    Storage.setPrefs(state.linkedDefaults ? { ...state.prefs, ...state.linkedDefaults } : state.prefs);
   }
 
   // ========== SAMPLE DATA ==========
@@ -1449,6 +7352,7 @@
     const ensuredTags = samplesTags.map(st => {
       const found = existingByName.get(st.name.toLowerCase());
       if (found) return found;
+      st.order = nextTagOrder();
       state.tags.push(st);
       return st;
     });
@@ -1466,7 +7370,7 @@
         tagIds: [tagIdByName['Indie'], tagIdByName['Backlog']],
         notes: 'Space-fantasy ARPG with stellar soundtrack.',
         favorite: true,
-        imageUrl: PLACEHOLDER_COVER('Celestial Odyssey'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 15,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 1
       },
@@ -1479,7 +7383,7 @@
         tagIds: [tagIdByName['Co-op']],
         notes: 'Beat it with a friend on local co-op.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Dungeon Pals'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 30,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 28
       },
@@ -1492,7 +7396,7 @@
         tagIds: [tagIdByName['JRPG'], tagIdByName['Backlog']],
         notes: 'Highly rated turn-based JRPG.',
         favorite: true,
-        imageUrl: PLACEHOLDER_COVER('Echoes of Aeterna'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 7,
         dateUpdated: nowTs - 1000 * 60 * 60 * 3
       },
@@ -1505,7 +7409,7 @@
         tagIds: [tagIdByName['Metroidvania'], tagIdByName['Backlog']],
         notes: 'Paused at Chapter 4 boss. Consider lowering difficulty.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Metro Shade'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 60,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 20
       },
@@ -1518,7 +7422,7 @@
         tagIds: [tagIdByName['Indie']],
         notes: 'Perfect for short sessions. Season 3 ongoing.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Island Run'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 120,
         dateUpdated: nowTs - 1000 * 60 * 60 * 2
       },
@@ -1531,7 +7435,7 @@
         tagIds: [tagIdByName['Co-op']],
         notes: 'Unlocked Mirror Mode. Great couch co-op.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Retro Kart GP'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 365,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 300
       },
@@ -1544,7 +7448,7 @@
         tagIds: [tagIdByName['JRPG']],
         notes: 'Got stuck on the desert temple puzzle.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Mystic Quest DX'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 200,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 170
       },
@@ -1557,7 +7461,7 @@
         tagIds: [tagIdByName['Indie'], tagIdByName['Backlog']],
         notes: 'Case 3 of 5. Charming pixel art.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Pixel Detective'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 40,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 2
       },
@@ -1570,7 +7474,7 @@
         tagIds: [tagIdByName['Indie']],
         notes: 'Sandbox colony sim. Endless goals.',
         favorite: true,
-        imageUrl: PLACEHOLDER_COVER('Galaxy Builder'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 400,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 1
       },
@@ -1583,7 +7487,7 @@
         tagIds: [tagIdByName['Backlog']],
         notes: 'Bought used; disc condition: good.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Snowbound Saga'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 10,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 10
       },
@@ -1596,7 +7500,7 @@
         tagIds: [tagIdByName['JRPG'], tagIdByName['Backlog']],
         notes: 'Day-one patch recommended.',
         favorite: true,
-        imageUrl: PLACEHOLDER_COVER('Starbound Stories 2'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 3,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 1
       },
@@ -1609,21 +7513,21 @@
         tagIds: [tagIdByName['Co-op']],
         notes: 'Arcade vibes. Still holds up.',
         favorite: false,
-        imageUrl: PLACEHOLDER_COVER('Wave Racer Redux'),
+        imageUrl: '',
         dateAdded: nowTs - 1000 * 60 * 60 * 24 * 650,
         dateUpdated: nowTs - 1000 * 60 * 60 * 24 * 640
       }
     ];
 
     // Persist tags in case we added any
-    Storage.setTags(state.tags);
+    Storage.setTags([...state.tags, ...state.trash.tags]);
 
     if (clearFirst) {
-      state.games = samplesGames.map(sanitizeGame);
+      state.games = samplesGames.map(g => sanitizeGame(g));
     } else {
-      const existingKeys = new Set(state.games.map(g => `${g.title.toLowerCase()}|${g.platform}`));
+      const existingKeys = new Set(state.games.map(gameKey));
       samplesGames.forEach(s => {
-        const key = `${s.title.toLowerCase()}|${s.platform}`;
+        const key = gameKey(s);
         if (!existingKeys.has(key)) {
           state.games.push(sanitizeGame(s));
           existingKeys.add(key);
@@ -1631,7 +7535,8 @@
       });
     }
 
-    Storage.setGames(state.games);
+    Storage.setGames([...state.games, ...state.trash.games]);
+    ensureGameLists();
     state.prefs.samplesLoaded = true;
     savePrefs();
     buildFiltersUIFromPrefs();
@@ -1639,34 +7544,10 @@
     updateStorageInfo();
   }
 
-  // Override renderFilterChips to correct pluralization for "status" -> "statuses"
-  // This supersedes the earlier definition via function hoisting.
-  function renderFilterChips(container, items, selected, type) {
-    container.innerHTML = '';
-    const key = type === 'status' ? 'statuses'
-              : type === 'platform' ? 'platforms'
-              : type === 'playtime' ? 'playtimes'
-              : `${type}s`;
-    items.forEach(val => {
-      const chip = document.createElement('button');
-      chip.type = 'button';
-      chip.className = 'chip button';
-      chip.textContent = val;
-      chip.setAttribute('data-type', type);
-      chip.setAttribute('data-value', val);
-      if (selected.includes(val)) chip.classList.add('active');
-      chip.addEventListener('click', () => {
-        const arr = state.filtersWorking[key];
-        const idx = arr.indexOf(val);
-        if (idx >= 0) arr.splice(idx, 1);
-        else arr.push(val);
-        chip.classList.toggle('active');
-      });
-      container.appendChild(chip);
-    });
-  }
-
   // Boot the app
-  init();
+  init().catch(err => {
+    console.error(err);
+    toast('Failed to load your data');
+  });
 
 })(); // end IIFE
@@ -0,0 +1,58 @@
+// sw.js
+// Backlog Atlas — service worker. Precaches the app shell so the app installs and loads offline.
+// The shell is served network first, so a deploy reaches the next page load on its own.
+// Bump CACHE_VERSION with every deploy anyway: the changed worker is what tells open tabs
+// that an update is available (see SERVICE WORKER in app.js). The SVG sprite is inline in
+// index.html, so it is cached along with the page.
+const CACHE_VERSION = 2;
+const CACHE_PREFIX = 'backlog-atlas-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const SHELL = ['./', './index.html', './app.js', './styles.css', './manifest.webmanifest', './icon.svg'];
+const SHELL_URLS = new Set(SHELL.map(url => new URL(url, self.location).href));
+
+self.addEventListener('install', (event) => {
+  // `reload` skips the HTTP cache so a new version never precaches stale files.
+  // No skipWaiting() here: the page asks the user first and then sends 'skipWaiting'.
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Network first for the shell: every good response refreshes the cached copy, which is
+// only served when the network fails (offline). Other same-origin files go to the network;
+// cross-origin requests (remote covers) are left to the browser.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  url.search = '';
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, './index.html'));
+    return;
+  }
+  if (SHELL_URLS.has(url.href)) event.respondWith(networkFirst(event, url.href));
+});
+
+function networkFirst(event, cacheKey) {
+  return fetch(event.request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy)));
+      }
+      return response;
+    })
+    .catch(() => caches.match(cacheKey).then(cached => cached || Response.error()));
+}